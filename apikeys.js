@@ -0,0 +1,178 @@
+// apikeys.js (ESM)
+// API keys for the scraping endpoints, shared by the server and the
+// scripts/api-keys.js CLI. Keys look like lk_<id>_<secret>; only a SHA-256 of
+// the secret is stored (data/api-keys.json), so the file alone can't call the
+// API. The embedded map page can't keep a key secret, so it gets a signed,
+// expiring query token instead: <id>.<expSeconds>.<hmac>.
+
+import fs from "node:fs";
+import path from "node:path";
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { log } from "./logger.js";
+
+const KEY_RE = /^lk_([0-9a-f]{8})_([A-Za-z0-9_-]{20,})$/;
+
+const sha256 = (s) => createHash("sha256").update(s).digest("hex");
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export function parseKey(key) {
+  const m = KEY_RE.exec(String(key || "").trim());
+  return m ? { id: m[1], secret: m[2] } : null;
+}
+
+// -------------------- Signed query tokens --------------------
+const sign = (payload, secret) => createHmac("sha256", secret).update(payload).digest("base64url");
+
+export function signToken(id, expSec, secret) {
+  const payload = `${id}.${expSec}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { id, exp } for a well-signed, unexpired token, else null.
+export function verifyToken(token, secret) {
+  const [id, exp, sig] = String(token || "").split(".");
+  if (!secret || !id || !/^\d+$/.test(exp || "") || !sig) return null;
+  if (!safeEqual(sig, sign(`${id}.${exp}`, secret))) return null;
+  if (Number(exp) * 1000 < Date.now()) return null;
+  return { id, exp: Number(exp) };
+}
+
+// -------------------- Key store --------------------
+// Record: { id, name, hash, createdAt, revokedAt, quotas: { requestsPerDay,
+// refreshesPerHour } }; a null quota means "use the configured default".
+// The server re-reads the file when it changes, so CLI edits apply live.
+export function createKeyStore(file) {
+  let records = [];
+  let mtimeMs = -1;
+
+  function load() {
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch {}
+    if (!stat) {
+      records = [];
+      mtimeMs = 0;
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    mtimeMs = stat.mtimeMs;
+    try {
+      records = JSON.parse(fs.readFileSync(file, "utf8")).keys || [];
+    } catch (e) {
+      // Keep serving the last good set rather than locking everyone out.
+      log.error("cannot read API key file", { file, error: e });
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify({ keys: records }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    mtimeMs = fs.statSync(file).mtimeMs;
+  }
+
+  const find = (id) => {
+    load();
+    return records.find((r) => r.id === id) || null;
+  };
+
+  return {
+    list() {
+      load();
+      return records;
+    },
+    get: find,
+
+    // Active record for a raw key, or null.
+    verify(key) {
+      const parsed = parseKey(key);
+      const rec = parsed && find(parsed.id);
+      if (!rec || rec.revokedAt) return null;
+      return safeEqual(rec.hash, sha256(parsed.secret)) ? rec : null;
+    },
+
+    // Returns { record, key }; the raw key is only ever shown here.
+    create({ name, requestsPerDay = null, refreshesPerHour = null }) {
+      load();
+      let id;
+      do id = randomBytes(4).toString("hex");
+      while (records.some((r) => r.id === id));
+      const secret = randomBytes(24).toString("base64url");
+      const record = {
+        id,
+        name,
+        hash: sha256(secret),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        quotas: { requestsPerDay, refreshesPerHour },
+      };
+      records.push(record);
+      save();
+      return { record, key: `lk_${id}_${secret}` };
+    },
+
+    revoke(id) {
+      const rec = find(id);
+      if (!rec) return null;
+      rec.revokedAt ||= new Date().toISOString();
+      save();
+      return rec;
+    },
+
+    setQuotas(id, quotas) {
+      const rec = find(id);
+      if (!rec) return null;
+      rec.quotas = { ...rec.quotas, ...quotas };
+      save();
+      return rec;
+    },
+  };
+}
+
+// -------------------- Quotas --------------------
+// Fixed windows in memory: requests per UTC day, forced refreshes per hour.
+// clock() -> ms, injectable so window resets can be tested.
+export function createQuotaTracker({ clock = Date.now } = {}) {
+  const usage = new Map(); // key id -> { day, requests, hour, refreshes, total }
+
+  function current(id, now = new Date(clock())) {
+    const day = now.toISOString().slice(0, 10);
+    const hour = now.toISOString().slice(0, 13);
+    let u = usage.get(id);
+    if (!u) usage.set(id, (u = { day, requests: 0, hour, refreshes: 0, total: 0 }));
+    if (u.day !== day) Object.assign(u, { day, requests: 0 });
+    if (u.hour !== hour) Object.assign(u, { hour, refreshes: 0 });
+    return u;
+  }
+
+  return {
+    // Charges `requests`/`refreshes` against `limits` unless that would
+    // exceed one; returns { ok, reason, retryAfterSec, usage }.
+    take(id, { requests = 1, refreshes = 0 }, { requestsPerDay, refreshesPerHour }) {
+      const now = new Date(clock());
+      const u = current(id, now);
+      if (u.requests + requests > requestsPerDay) {
+        const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        return { ok: false, reason: "requests per day", retryAfterSec: Math.ceil((nextDay - now) / 1000), usage: u };
+      }
+      if (refreshes && u.refreshes + refreshes > refreshesPerHour) {
+        const nextHour = Math.ceil((now.getTime() + 1) / 3600000) * 3600000;
+        return { ok: false, reason: "refreshes per hour", retryAfterSec: Math.ceil((nextHour - now) / 1000), usage: u };
+      }
+      u.requests += requests;
+      u.refreshes += refreshes;
+      u.total += requests;
+      return { ok: true, usage: u };
+    },
+    usage(id) {
+      return usage.has(id) ? { ...current(id) } : null;
+    },
+  };
+}
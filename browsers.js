@@ -0,0 +1,173 @@
+// browsers.js (ESM)
+// Playwright browser pool: one Chromium process, relaunched on the next use
+// after it disconnects. Each source gets its own isolated context (cookies
+// never cross sites), retired after pagesPerContext pages or
+// blocksPerContext consecutive blocks. maxPages caps open pages across all
+// contexts.
+//
+// Every page holds a lease on its context, taken before anything is awaited.
+// Retiring only takes a context out of the pool: it keeps running, listed in
+// `retiring`, until its last lease is released, and only then closes. So a
+// recycle that lands while a context is being created or has pages open never
+// closes it under a caller.
+//
+// launch() -> browser and newContext(browser, key) -> context are injected;
+// npm test drives the pool with a fake browser.
+
+import { createSemaphore } from "./limits.js";
+import { log } from "./logger.js";
+
+export function createBrowserPool({ launch, newContext, maxPages, pagesPerContext, blocksPerContext }) {
+  let browser = null;
+  let launching = null;
+  const contexts = new Map(); // key -> { context, ready, pages, open, blocks, createdAt, retired, closed }
+  const retiring = new Set(); // retired entries with leases still open
+  const pageGate = createSemaphore(maxPages);
+  const counters = { launches: 0, disconnects: 0, recycles: 0, pagesOpened: 0, lastLaunchError: null };
+
+  async function ensureBrowser() {
+    if (browser?.isConnected()) return browser;
+    if (!launching) {
+      launching = (async () => {
+        try {
+          const b = await launch();
+          counters.launches += 1;
+          counters.lastLaunchError = null;
+          b.on("disconnected", () => {
+            if (browser !== b) return;
+            browser = null;
+            // Its contexts died with it; pages still open on them fail on their own.
+            for (const entry of [...contexts.values(), ...retiring]) entry.closed = true;
+            contexts.clear();
+            retiring.clear();
+            counters.disconnects += 1;
+            log.warn("browser disconnected, relaunching on next use");
+          });
+          browser = b;
+          return b;
+        } catch (e) {
+          counters.lastLaunchError = String(e?.message || e).split("\n")[0];
+          throw e;
+        } finally {
+          launching = null;
+        }
+      })();
+    }
+    return launching;
+  }
+
+  // A context still being created closes as soon as it exists.
+  function closeEntry(entry) {
+    if (entry.closed) return Promise.resolve();
+    entry.closed = true;
+    retiring.delete(entry);
+    return entry.ready.then(() => entry.context?.close()).catch(() => {});
+  }
+
+  // Stops handing out the context; it closes once its last lease is released.
+  function retire(key, entry, reason) {
+    if (contexts.get(key) === entry) contexts.delete(key);
+    entry.retired = true;
+    counters.recycles += 1;
+    log.info("browser context recycled", { context: key, reason, pages: entry.pages });
+    if (entry.open === 0) closeEntry(entry);
+    else retiring.add(entry);
+  }
+
+  // Leases a page on `key`'s current context, creating one when there is none
+  // or the current one is due for recycling. Synchronous, so nothing can
+  // retire and close the entry between picking it and counting the lease.
+  function lease(key) {
+    let entry = contexts.get(key);
+    if (entry && entry.pages >= pagesPerContext) retire(key, entry, "page limit");
+    else if (entry && entry.blocks >= blocksPerContext) retire(key, entry, "repeated blocks");
+    entry = contexts.get(key);
+
+    if (!entry) {
+      const created = {
+        context: null,
+        ready: null,
+        pages: 0,
+        open: 0,
+        blocks: 0,
+        createdAt: Date.now(),
+        retired: false,
+        closed: false,
+      };
+      entry = created;
+      entry.ready = ensureBrowser()
+        .then((b) => newContext(b, key))
+        .then((ctx) => {
+          created.context = ctx;
+        });
+      entry.ready.catch(() => {
+        if (contexts.get(key) === created) contexts.delete(key);
+      });
+      contexts.set(key, entry);
+    }
+    entry.pages += 1;
+    entry.open += 1;
+    return entry;
+  }
+
+  function release(entry) {
+    entry.open -= 1;
+    if (entry.retired && entry.open === 0) closeEntry(entry);
+  }
+
+  return {
+    ensureBrowser,
+
+    // Runs fn(page) on a fresh page in `key`'s context, within the page limit.
+    async withPage(key, fn) {
+      await pageGate.acquire();
+      let entry = null;
+      let page = null;
+      try {
+        entry = lease(key);
+        await entry.ready;
+        counters.pagesOpened += 1;
+        page = await entry.context.newPage();
+        return await fn(page);
+      } finally {
+        await page?.close().catch(() => {});
+        if (entry) release(entry);
+        pageGate.release();
+      }
+    },
+
+    // Forces a fresh context for `key` on its next use.
+    recycle(key, reason) {
+      const entry = contexts.get(key);
+      if (entry) retire(key, entry, reason);
+    },
+
+    // Consecutive blocks on a context trigger a recycle on its next use.
+    noteResult(key, blocked) {
+      const entry = contexts.get(key);
+      if (entry) entry.blocks = blocked ? entry.blocks + 1 : 0;
+    },
+
+    stats() {
+      const now = Date.now();
+      return {
+        connected: Boolean(browser?.isConnected()),
+        ...counters,
+        pages: pageGate.stats(),
+        contexts: Object.fromEntries(
+          [...contexts].map(([key, e]) => [key, { pages: e.pages, open: e.open, blocks: e.blocks, ageMs: now - e.createdAt }])
+        ),
+        retiring: retiring.size,
+      };
+    },
+
+    async close() {
+      const entries = [...contexts.values(), ...retiring];
+      contexts.clear();
+      await Promise.all(entries.map(closeEntry));
+      const b = browser;
+      browser = null;
+      await b?.close().catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,170 @@
+// buildings.js (ESM)
+// Offline registry of the buildings drawn on the map, so a listing can be
+// tied to a building id instead of the frontend string-matching addressHint.
+// The file (data/buildings.json by default) is either
+//   { "buildings": [{ id, name, addresses: [...], lat, lng }] } (or a bare array)
+// or a GeoJSON FeatureCollection whose features carry { id, name, address |
+// addresses } in their properties; the geometry only supplies the center.
+// Addresses are matched on civic number + normalized street (see
+// parseAddress/streetKey in parsers.js), with the city as a tiebreak; a plex
+// range ("1234-1236") matches on any of its civic numbers.
+// summarizeBuilding() rolls a building's listings up for GET /api/buildings/:id.
+
+import fs from "node:fs";
+import { addressKeys, cityKey, isPresent, parseAddress } from "./parsers.js";
+import { log } from "./logger.js";
+
+// Mean of the outer ring (or the point itself): good enough to drop a pin.
+function geometryCenter(geometry) {
+  if (!geometry) return null;
+  let points = [];
+  if (geometry.type === "Point") points = [geometry.coordinates];
+  else if (geometry.type === "Polygon") points = geometry.coordinates[0] || [];
+  else if (geometry.type === "MultiPolygon") points = geometry.coordinates.flatMap((p) => p[0] || []);
+  points = points.filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  const [first, last] = [points[0], points.at(-1)];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points = points.slice(0, -1); // closed ring
+  if (!points.length) return null;
+  const sum = points.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+  return { lng: sum[0] / points.length, lat: sum[1] / points.length };
+}
+
+function toRecord(raw, geometry) {
+  if (!raw || raw.id == null || raw.id === "") return null;
+  const addresses = [].concat(raw.addresses || raw.address || []).map(String);
+  const center =
+    Number.isFinite(raw.lat) && Number.isFinite(raw.lng) ? { lat: raw.lat, lng: raw.lng } : geometryCenter(geometry);
+  return { id: String(raw.id), name: raw.name || null, addresses, center };
+}
+
+function readRecords(doc) {
+  if (doc?.type === "FeatureCollection") {
+    return (doc.features || []).map((f) => toRecord({ ...f.properties, id: f.properties?.id ?? f.id }, f.geometry));
+  }
+  const list = Array.isArray(doc) ? doc : doc?.buildings || [];
+  return list.map((b) => toRecord(b, b.geometry));
+}
+
+// Re-reads the file when its mtime changes, so edits apply without a restart.
+export function createBuildingRegistry(file) {
+  let buildings = [];
+  let byId = new Map();
+  let byKey = new Map(); // "civic|street" -> [{ building, city }]
+  let mtimeMs = -1;
+
+  function index(records) {
+    const nextById = new Map();
+    const nextByKey = new Map();
+    for (const b of records) {
+      if (!b) continue;
+      if (nextById.has(b.id)) log.warn("duplicate building id", { file, id: b.id });
+      nextById.set(b.id, b);
+      for (const address of b.addresses) {
+        const parts = parseAddress(address);
+        if (!parts) {
+          log.warn("cannot parse building address", { file, id: b.id, address });
+          continue;
+        }
+        for (const key of addressKeys(parts)) {
+          if (!nextByKey.has(key)) nextByKey.set(key, []);
+          nextByKey.get(key).push({ building: b, city: cityKey(parts.city) });
+        }
+      }
+    }
+    buildings = [...nextById.values()];
+    byId = nextById;
+    byKey = nextByKey;
+  }
+
+  function load() {
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch {}
+    if (!stat) {
+      if (mtimeMs !== 0) index([]);
+      mtimeMs = 0;
+      return;
+    }
+    if (stat.mtimeMs === mtimeMs) return;
+    mtimeMs = stat.mtimeMs;
+    try {
+      index(readRecords(JSON.parse(fs.readFileSync(file, "utf8"))));
+      log.info("building registry loaded", { file, buildings: buildings.length });
+    } catch (e) {
+      // Keep matching against the last good copy.
+      log.error("cannot read building registry", { file, error: e });
+    }
+  }
+
+  return {
+    list() {
+      load();
+      return buildings;
+    },
+    get(id) {
+      load();
+      return byId.get(String(id)) || null;
+    },
+    // parts from parseAddress() -> building record or null. Two buildings at
+    // the same civic/street (different cities) need the city to tell apart.
+    match(parts) {
+      if (!parts) return null;
+      load();
+      const candidates = addressKeys(parts).flatMap((key) => byKey.get(key) || []);
+      if (new Set(candidates.map((c) => c.building)).size <= 1) return candidates[0]?.building || null;
+      const city = cityKey(parts.city);
+      const inCity = new Set(city ? candidates.filter((c) => c.city === city).map((c) => c.building) : []);
+      return inCity.size === 1 ? [...inCity][0] : null;
+    },
+  };
+}
+
+// -------------------- Building summary --------------------
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  if (!s.length) return null;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// When a sold listing was first seen sold, and its last asking price.
+function soldDetails(snaps, listing, fallbackTs) {
+  const firstSold = snaps.find((s) => s.listing.status === "sold");
+  const lastActive = snaps.findLast((s) => (s.listing.status || "active") === "active" && isPresent(s.listing.price));
+  const price = isPresent(listing.price) ? listing.price : lastActive?.listing.price || null;
+  return { soldSeenAt: new Date(firstSold?.ts ?? fallbackTs).toISOString(), lastPrice: price };
+}
+
+// entries are knownListings() rows ({ listing, ts }) already matched to one
+// building. Price figures use active listings only; condo fees per ft² use
+// every unit with both numbers, since fees stay with the unit after a sale.
+// history(url) -> snapshots ({ ts, listing }, oldest first) dates the sales;
+// soldSince (ms) is the recentlySold cutoff.
+export function summarizeBuilding(entries, { history = () => [], soldSince = 0 } = {}) {
+  const active = entries.filter((e) => e.listing.status === "active");
+  // Two sites listing the same apartment count once.
+  const unitKey = (l) => (l.unit ? `${l.addressParts.civic}-${l.unit}` : l.url);
+  const prices = active.map((e) => e.listing.numeric?.priceCad).filter(Boolean);
+  const perSqft = active.map((e) => e.listing.numeric?.pricePerSqft).filter(Boolean);
+  const feesPerSqft = entries
+    .map((e) => e.listing.numeric)
+    .filter((n) => n?.condoFeesMonthlyCad && n.areaSqft)
+    .map((n) => n.condoFeesMonthlyCad / n.areaSqft);
+  const recentlySold = entries
+    .filter((e) => e.listing.status === "sold")
+    .map((e) => ({ url: e.listing.url, unit: e.listing.unit, ...soldDetails(history(e.listing.url), e.listing, e.ts) }))
+    .filter((s) => Date.parse(s.soldSeenAt) >= soldSince)
+    .sort((a, b) => b.soldSeenAt.localeCompare(a.soldSeenAt));
+
+  return {
+    listings: entries.length,
+    activeUnits: new Set(active.map((e) => unitKey(e.listing))).size,
+    priceRange: prices.length ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    medianPricePerSqft: perSqft.length ? Math.round(median(perSqft)) : null,
+    avgCondoFeesPerSqft: feesPerSqft.length
+      ? Math.round((feesPerSqft.reduce((a, b) => a + b, 0) / feesPerSqft.length) * 100) / 100
+      : null,
+    recentlySold,
+  };
+}
@@ -0,0 +1,217 @@
+// cache.js (ESM)
+// Listing cache: the stores behind it (memory, or a JSON-lines file replayed
+// on startup), the TTL / stale-while-revalidate view of an entry, and the
+// in-flight registry that lets concurrent requests for one key share a
+// scrape. The JSON-lines helpers are shared with the history store.
+//
+// A store holds entries { ts, src, data } keyed by the server's cache key
+// (url + address hint). Map order doubles as LRU order: reads and writes move
+// a key to the end, eviction drops from the front.
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { detectSource, withNumbers } from "./parsers.js";
+import { log } from "./logger.js";
+
+// -------------------- JSON-lines files --------------------
+export function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {}
+  }
+  return out;
+}
+
+// Serializes appends and full rewrites to one file so they never interleave.
+// lastError() is the most recent failure until a later write succeeds.
+export function createJsonLinesWriter(file, label) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let writing = Promise.resolve();
+  let failure = null;
+  const enqueue = (fn) => {
+    writing = writing
+      .then(fn)
+      .then(() => {
+        failure = null;
+      })
+      .catch((e) => {
+        failure = { at: new Date().toISOString(), error: String(e?.message || e) };
+        log.error("write failed", { store: label, error: e });
+      });
+    return writing;
+  };
+  return {
+    append(rec) {
+      const line = `${JSON.stringify(rec)}\n`;
+      return enqueue(() => fsp.appendFile(file, line));
+    },
+    rewrite(recs) {
+      const body = recs.map((rec) => `${JSON.stringify(rec)}\n`).join("");
+      return enqueue(async () => {
+        const tmp = `${file}.tmp`;
+        await fsp.writeFile(tmp, body);
+        await fsp.rename(tmp, file);
+      });
+    },
+    flush: () => writing,
+    lastError: () => failure,
+  };
+}
+
+// -------------------- Stores --------------------
+export function createMemoryCacheStore({ maxEntries }) {
+  const map = new Map();
+  return {
+    get(key) {
+      const hit = map.get(key);
+      if (!hit) return null;
+      map.delete(key);
+      map.set(key, hit);
+      return hit;
+    },
+    set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      const evicted = [];
+      while (map.size > maxEntries) {
+        const oldest = map.keys().next().value;
+        map.delete(oldest);
+        evicted.push(oldest);
+      }
+      return evicted;
+    },
+    delete(key) {
+      return map.delete(key);
+    },
+    entries() {
+      return [...map.entries()];
+    },
+    clear() {
+      map.clear();
+    },
+    flush: () => Promise.resolve(),
+    lastWriteError: () => null,
+    get size() {
+      return map.size;
+    },
+  };
+}
+
+// Append-only JSON-lines log replayed on startup and compacted once it grows
+// well past the live entry count. Reads are served from memory.
+export function createFileCacheStore({ file, maxEntries }) {
+  const mem = createMemoryCacheStore({ maxEntries });
+  const writer = createJsonLinesWriter(file, "cache");
+
+  const recs = readJsonLines(file);
+  for (const rec of recs) {
+    if (rec.op === "del") mem.delete(rec.key);
+    else if (rec.key && rec.entry) mem.set(rec.key, rec.entry);
+  }
+  let lines = recs.length;
+
+  const compact = () => {
+    lines = mem.size;
+    writer.rewrite(mem.entries().map(([key, entry]) => ({ op: "set", key, entry })));
+  };
+
+  const append = (rec) => {
+    lines += 1;
+    writer.append(rec);
+    if (lines > Math.max(200, mem.size * 3)) compact();
+  };
+
+  if (lines > mem.size) compact();
+
+  return {
+    get: (key) => mem.get(key),
+    set(key, entry) {
+      const evicted = mem.set(key, entry);
+      append({ op: "set", key, entry });
+      for (const k of evicted) append({ op: "del", key: k });
+      return evicted;
+    },
+    delete(key) {
+      const had = mem.delete(key);
+      if (had) append({ op: "del", key });
+      return had;
+    },
+    entries: () => mem.entries(),
+    clear() {
+      mem.clear();
+      compact();
+    },
+    flush: () => writer.flush(),
+    lastWriteError: () => writer.lastError(),
+    get size() {
+      return mem.size;
+    },
+  };
+}
+
+export function createCacheStore(kind, { file, maxEntries }) {
+  if (kind === "memory") return createMemoryCacheStore({ maxEntries });
+  if (kind === "file") return createFileCacheStore({ file, maxEntries });
+  throw new Error(`Unknown CACHE_STORE "${kind}" (expected file or memory)`);
+}
+
+// -------------------- Listing cache --------------------
+// ttlFor(entry) -> ms the entry is fresh; past it the entry is still served
+// (stale: true) while the caller revalidates, until maxStaleMs more have
+// passed and it is dropped. clock() -> ms, injectable for tests.
+export function createListingCache({ store, ttlFor, maxStaleMs, clock = Date.now }) {
+  // { data, fetchedAt, stale } or null once past TTL + maxStaleMs.
+  function view(entry) {
+    const age = clock() - entry.ts;
+    const ttl = ttlFor(entry);
+    if (age > ttl + maxStaleMs) return null;
+    let data = entry.data?.numeric ? entry.data : withNumbers(entry.data);
+    if (!data.status) data = { ...data, status: "active" }; // cached before listings had one
+    return { data, fetchedAt: new Date(entry.ts).toISOString(), stale: age > ttl };
+  }
+
+  return {
+    store,
+    view,
+    get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      const v = view(entry);
+      if (!v) store.delete(key);
+      return v;
+    },
+    set(key, data) {
+      return store.set(key, { ts: clock(), src: detectSource(data?.url), data });
+    },
+  };
+}
+
+// -------------------- In-flight scrapes --------------------
+// key -> the promise of the scrape running for it. track() registers a scrape
+// and drops it once settled (unless a newer one replaced it, as a forced
+// refresh does), so callers that find one can await it instead of scraping.
+export function createInflight() {
+  const running = new Map();
+  return {
+    track(key, promise) {
+      running.set(key, promise);
+      promise
+        .catch(() => {})
+        .finally(() => {
+          if (running.get(key) === promise) running.delete(key);
+        });
+      return promise;
+    },
+    get: (key) => running.get(key) || null,
+    has: (key) => running.has(key),
+    values: () => [...running.values()],
+    get size() {
+      return running.size;
+    },
+  };
+}
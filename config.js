@@ -0,0 +1,316 @@
+// config.js (ESM)
+// Settings layer: built-in defaults < config file < environment variables.
+// The file is JSON shaped like the dotted paths below (CONFIG_FILE, default
+// ./config.json, optional). Env names are the ones the server has always
+// read. Everything is validated once at startup: loadConfig() throws with a
+// list of every bad value so the server refuses to start instead of running
+// with a NaN timeout.
+
+import fs from "node:fs";
+import path from "node:path";
+import { LISTING_SOURCES } from "./parsers.js";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const HOUR = 60 * MIN;
+const SOURCE_IDS = Object.keys(LISTING_SOURCES);
+
+// -------------------- Settings table --------------------
+// path -> { env, type, default, min, max, values, nullable, secret }
+// Types: int | bool | string | enum | list (comma-separated in env).
+const SETTINGS = {
+  "server.port": { env: "PORT", type: "int", default: 3000, min: 1, max: 65535 },
+  "server.allowedOrigins": {
+    env: "ALLOWED_ORIGINS",
+    type: "list",
+    default: ["https://joeymakesweb.com", "https://www.joeymakesweb.com", "http://localhost:3000", "http://127.0.0.1:3000"],
+  },
+  "server.adminToken": { env: "ADMIN_TOKEN", type: "string", default: "", secret: true },
+  "server.shutdownTimeoutMs": { env: "SHUTDOWN_TIMEOUT_MS", type: "int", default: 30 * SEC, min: 0 },
+  "data.dir": { env: "DATA_DIR", type: "string", default: "data" },
+  "log.level": { env: "LOG_LEVEL", type: "enum", values: ["debug", "info", "warn", "error"], default: "info" },
+  "log.format": { env: "LOG_FORMAT", type: "enum", values: ["json", "text"], default: "json" },
+
+  "auth.required": { env: "AUTH_REQUIRED", type: "bool", default: true },
+  "auth.keysFile": { env: "API_KEYS_FILE", type: "string", default: "" }, // "" = <data.dir>/api-keys.json
+  "auth.tokenSecret": { env: "AUTH_TOKEN_SECRET", type: "string", default: "", secret: true },
+  "auth.tokenTtlMs": { env: "AUTH_TOKEN_TTL_MS", type: "int", default: 7 * 24 * HOUR, min: MIN },
+  "auth.requestsPerDay": { env: "API_REQUESTS_PER_DAY", type: "int", default: 5000, min: 1 },
+  "auth.refreshesPerHour": { env: "API_REFRESHES_PER_HOUR", type: "int", default: 30, min: 0 },
+
+  "cache.store": { env: "CACHE_STORE", type: "enum", values: ["file", "memory"], default: "file" },
+  "cache.maxEntries": { env: "CACHE_MAX_ENTRIES", type: "int", default: 2000, min: 1 },
+  "cache.ttlMs": { env: "CACHE_TTL_MS", type: "int", default: 6 * HOUR, min: 0 },
+  "cache.maxStaleMs": { env: "CACHE_MAX_STALE_MS", type: "int", default: 7 * 24 * HOUR, min: 0 },
+  // Sold/delisted listings rarely come back; they are re-checked this often.
+  "cache.offMarketTtlMs": { env: "CACHE_TTL_OFF_MARKET_MS", type: "int", default: 7 * 24 * HOUR, min: 0 },
+
+  "history.store": { env: "HISTORY_STORE", type: "enum", values: ["file", "memory"], default: "file" },
+  "history.maxPerUrl": { env: "HISTORY_MAX_PER_URL", type: "int", default: 500, min: 1 },
+
+  "scrape.timeoutMs": { env: "SCRAPE_TIMEOUT_MS", type: "int", default: 42 * SEC, min: SEC },
+  "scrape.inflightWaitMs": { env: "SCRAPE_INFLIGHT_WAIT_MS", type: "int", default: 30 * SEC, min: SEC },
+  "scrape.userAgent": {
+    env: "SCRAPE_USER_AGENT",
+    type: "string",
+    default:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  },
+  "scrape.acceptLanguage": {
+    env: "SCRAPE_ACCEPT_LANGUAGE",
+    type: "string",
+    default: "en-CA,en;q=0.9,fr-CA;q=0.8,fr;q=0.7",
+  },
+
+  "sources.enabled": {
+    env: "ENABLED_SOURCES",
+    type: "list",
+    values: SOURCE_IDS,
+    default: ["centris", "duproprio", "realtor", "kijiji"],
+  },
+
+  "rateLimit.perMin": { env: "RATE_LIMIT_PER_MIN", type: "int", default: 6, min: 1 },
+  "rateLimit.burst": { env: "RATE_LIMIT_BURST", type: "int", default: 3, min: 1 },
+  "rateLimit.minSpacingMs": { env: "RATE_MIN_SPACING_MS", type: "int", default: 2 * SEC, min: 0 },
+  "rateLimit.blockCooldownMs": { env: "RATE_BLOCK_COOLDOWN_MS", type: "int", default: 5 * MIN, min: 0 },
+  "rateLimit.maxCooldownMs": { env: "RATE_MAX_COOLDOWN_MS", type: "int", default: HOUR, min: 0 },
+  "rateLimit.maxWaitMs": { env: "RATE_MAX_WAIT_MS", type: "int", default: 15 * SEC, min: 0 },
+
+  "browser.headless": { env: "BROWSER_HEADLESS", type: "bool", default: true },
+  "browser.args": {
+    env: "BROWSER_ARGS",
+    type: "list",
+    default: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-gpu",
+      "--disable-blink-features=AutomationControlled",
+    ],
+  },
+  "browser.maxPages": { env: "BROWSER_MAX_PAGES", type: "int", default: 3, min: 1, max: 32 },
+  "browser.pagesPerContext": { env: "BROWSER_PAGES_PER_CONTEXT", type: "int", default: 50, min: 1 },
+  "browser.blocksPerContext": { env: "BROWSER_BLOCKS_PER_CONTEXT", type: "int", default: 2, min: 1 },
+
+  "centrisSession.file": { env: "CENTRIS_SESSION_FILE", type: "string", default: "" }, // "" = <data.dir>/centris-session.json
+  "centrisSession.maxAgeMs": { env: "CENTRIS_SESSION_MAX_AGE_MS", type: "int", default: 6 * HOUR, min: MIN },
+
+  "jobs.maxAttempts": { env: "JOB_MAX_ATTEMPTS", type: "int", default: 5, min: 1, max: 50 },
+  "jobs.backoffBaseMs": { env: "JOB_BACKOFF_BASE_MS", type: "int", default: 30 * SEC, min: 0 },
+  "jobs.backoffMaxMs": { env: "JOB_BACKOFF_MAX_MS", type: "int", default: 30 * MIN, min: 0 },
+  "jobs.ttlMs": { env: "JOB_TTL_MS", type: "int", default: 24 * HOUR, min: MIN },
+  "jobs.maxPending": { env: "JOB_MAX_PENDING", type: "int", default: 1000, min: 1 },
+
+  // GET /readyz turns 503 past these.
+  "readiness.maxQueuedScrapes": { env: "READY_MAX_QUEUED_SCRAPES", type: "int", default: 50, min: 0 },
+  "readiness.maxBlockRatePct": { env: "READY_MAX_BLOCK_RATE_PCT", type: "int", default: 60, min: 0, max: 100 },
+  "readiness.blockWindowMs": { env: "READY_BLOCK_WINDOW_MS", type: "int", default: 15 * MIN, min: MIN },
+  "readiness.minScrapes": { env: "READY_MIN_SCRAPES", type: "int", default: 5, min: 1 },
+
+  // Map buildings (JSON or GeoJSON) that listings are matched against.
+  "buildings.file": { env: "BUILDINGS_FILE", type: "string", default: "" }, // "" = <data.dir>/buildings.json
+  // How far back GET /api/buildings/:id lists sold units.
+  "buildings.recentSoldMs": { env: "BUILDING_RECENT_SOLD_MS", type: "int", default: 365 * 24 * HOUR, min: 0 },
+
+  "watch.file": { env: "WATCHLISTS_FILE", type: "string", default: "" }, // "" = <data.dir>/watchlists.json
+  "watch.intervalMs": { env: "WATCH_INTERVAL_MS", type: "int", default: 24 * HOUR, min: MIN },
+  "watch.minIntervalMs": { env: "WATCH_MIN_INTERVAL_MS", type: "int", default: 15 * MIN, min: MIN },
+  "watch.tickMs": { env: "WATCH_TICK_MS", type: "int", default: MIN, min: SEC },
+  "watch.maxItems": { env: "WATCH_MAX_ITEMS", type: "int", default: 100, min: 1 },
+  "watch.maxLists": { env: "WATCH_MAX_LISTS", type: "int", default: 200, min: 1 },
+
+  // Watchlist alert transports; each is enabled once its target is set.
+  "notify.webhookUrl": { env: "WATCH_WEBHOOK_URL", type: "string", default: "" },
+  "notify.webhookSecret": { env: "WATCH_WEBHOOK_SECRET", type: "string", default: "", secret: true },
+  "notify.timeoutMs": { env: "NOTIFY_TIMEOUT_MS", type: "int", default: 10 * SEC, min: SEC },
+  "notify.emailTo": { env: "WATCH_EMAIL_TO", type: "list", default: [] },
+  "notify.smtp.host": { env: "SMTP_HOST", type: "string", default: "" },
+  "notify.smtp.port": { env: "SMTP_PORT", type: "int", default: 587, min: 1, max: 65535 },
+  "notify.smtp.secure": { env: "SMTP_SECURE", type: "bool", default: false }, // implicit TLS (465)
+  "notify.smtp.startTls": { env: "SMTP_STARTTLS", type: "bool", default: true },
+  "notify.smtp.user": { env: "SMTP_USER", type: "string", default: "" },
+  "notify.smtp.pass": { env: "SMTP_PASS", type: "string", default: "", secret: true },
+  "notify.smtp.from": { env: "SMTP_FROM", type: "string", default: "" },
+
+  "diagnostics.enabled": { env: "DIAGNOSTICS", type: "bool", default: true },
+  "diagnostics.max": { env: "DIAGNOSTICS_MAX", type: "int", default: 200, min: 1 },
+
+  "gmail.label": { env: "GMAIL_LABEL", type: "string", default: "cleophee-tetu" },
+  "gmail.pollMs": { env: "GMAIL_POLL_MS", type: "int", default: 5 * MIN, min: 10 * SEC },
+  "gmail.credentialsPath": { env: "GMAIL_CREDENTIALS", type: "string", default: "credentials.json" },
+  "gmail.tokenPath": { env: "GMAIL_TOKEN", type: "string", default: "token.json" },
+  "gmail.rootUrl": { env: "GMAIL_ROOT_URL", type: "string", default: "" },
+};
+
+// Per-source knobs. null spacing/TTL fall back to rateLimit.minSpacingMs / cache.ttlMs.
+const SOURCE_DEFAULTS = {
+  centris: { concurrency: 1, directTimeoutMs: 7000, navTimeoutMs: 30000, waitMs: 14000, minSpacingMs: 5000 },
+  duproprio: { concurrency: 2 },
+  realtor: { concurrency: 1, navTimeoutMs: 30000, waitMs: 14000 },
+  kijiji: { concurrency: 2 },
+  marketplace: { concurrency: 1 },
+};
+
+for (const id of SOURCE_IDS) {
+  const d = SOURCE_DEFAULTS[id] || {};
+  const ID = id.toUpperCase();
+  Object.assign(SETTINGS, {
+    [`sources.${id}.concurrency`]: { env: `SCRAPE_CONCURRENCY_${ID}`, type: "int", default: d.concurrency ?? 1, min: 1, max: 16 },
+    [`sources.${id}.directTimeoutMs`]: { env: `DIRECT_TIMEOUT_${ID}_MS`, type: "int", default: d.directTimeoutMs ?? 6500, min: 500 },
+    [`sources.${id}.navTimeoutMs`]: { env: `NAV_TIMEOUT_${ID}_MS`, type: "int", default: d.navTimeoutMs ?? 25000, min: SEC },
+    [`sources.${id}.waitMs`]: { env: `WAIT_${ID}_MS`, type: "int", default: d.waitMs ?? 12000, min: 0 },
+    [`sources.${id}.minSpacingMs`]: {
+      env: `RATE_MIN_SPACING_${ID}_MS`,
+      type: "int",
+      default: d.minSpacingMs ?? null,
+      min: 0,
+      nullable: true,
+    },
+    [`sources.${id}.cacheTtlMs`]: { env: `CACHE_TTL_${ID}_MS`, type: "int", default: null, min: 0, nullable: true },
+  });
+}
+
+// -------------------- Parsing + validation --------------------
+const TRUE_WORDS = new Set(["1", "true", "yes", "on"]);
+const FALSE_WORDS = new Set(["0", "false", "no", "off"]);
+
+// Returns [value, problem]; `raw` is a string when it comes from env.
+function coerce(spec, raw, fromEnv) {
+  if (raw === null && spec.nullable) return [null, ""];
+  switch (spec.type) {
+    case "int": {
+      const n = fromEnv ? (/^-?\d+$/.test(raw.trim()) ? Number(raw) : NaN) : raw;
+      if (!Number.isInteger(n)) return [null, `expected an integer, got ${JSON.stringify(raw)}`];
+      if (spec.min != null && n < spec.min) return [null, `must be >= ${spec.min}, got ${n}`];
+      if (spec.max != null && n > spec.max) return [null, `must be <= ${spec.max}, got ${n}`];
+      return [n, ""];
+    }
+    case "bool": {
+      if (!fromEnv) return typeof raw === "boolean" ? [raw, ""] : [null, `expected true/false, got ${JSON.stringify(raw)}`];
+      const w = raw.trim().toLowerCase();
+      if (TRUE_WORDS.has(w)) return [true, ""];
+      if (FALSE_WORDS.has(w)) return [false, ""];
+      return [null, `expected 1/0, true/false, yes/no or on/off, got ${JSON.stringify(raw)}`];
+    }
+    case "string":
+      return typeof raw === "string" ? [raw.trim(), ""] : [null, `expected a string, got ${JSON.stringify(raw)}`];
+    case "enum": {
+      const v = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+      return spec.values.includes(v) ? [v, ""] : [null, `expected one of ${spec.values.join(", ")}, got ${JSON.stringify(raw)}`];
+    }
+    case "list": {
+      const list = fromEnv ? raw.split(",") : raw;
+      if (!Array.isArray(list) || list.some((x) => typeof x !== "string")) {
+        return [null, `expected a list of strings, got ${JSON.stringify(raw)}`];
+      }
+      const items = list.map((x) => x.trim()).filter(Boolean);
+      const norm = spec.values ? items.map((x) => x.toLowerCase()) : items;
+      const bad = spec.values ? norm.filter((x) => !spec.values.includes(x)) : [];
+      if (bad.length) return [null, `unknown value(s) ${bad.join(", ")} (expected ${spec.values.join(", ")})`];
+      return [norm, ""];
+    }
+    default:
+      return [null, `unsupported type ${spec.type}`];
+  }
+}
+
+// { a: { b: 1 } } -> [["a.b", 1]]; arrays and nulls are leaves.
+function flatten(obj, prefix = "", out = []) {
+  for (const [k, v] of Object.entries(obj)) {
+    const p = `${prefix}${k}`;
+    if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, `${p}.`, out);
+    else out.push([p, v]);
+  }
+  return out;
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split(".");
+  let node = obj;
+  for (const k of keys.slice(0, -1)) node = node[k] ??= {};
+  node[keys[keys.length - 1]] = value;
+}
+
+function deepFreeze(obj) {
+  for (const v of Object.values(obj)) if (v && typeof v === "object") deepFreeze(v);
+  return Object.freeze(obj);
+}
+
+// Returns { settings, origins, file }: the nested, frozen settings, where each
+// value came from ("default" | "file" | "env NAME") and the file that was read.
+export function loadConfig({ file = process.env.CONFIG_FILE || "config.json", env = process.env } = {}) {
+  const problems = [];
+  const filePath = path.resolve(file);
+  let fromFile = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      fromFile = Object.fromEntries(flatten(JSON.parse(fs.readFileSync(filePath, "utf8"))));
+    } catch (e) {
+      problems.push(`${filePath}: ${e.message}`);
+    }
+    for (const key of Object.keys(fromFile)) if (!SETTINGS[key]) problems.push(`${key}: unknown setting in ${filePath}`);
+  } else if (env.CONFIG_FILE) {
+    problems.push(`CONFIG_FILE ${filePath} does not exist`);
+  }
+
+  const settings = {};
+  const origins = {};
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    let value = spec.default;
+    let origin = "default";
+    if (key in fromFile) {
+      const [v, problem] = coerce(spec, fromFile[key], false);
+      if (problem) problems.push(`${key}: ${problem} (config file)`);
+      else [value, origin] = [v, "file"];
+    }
+    if (env[spec.env] != null && env[spec.env] !== "") {
+      const [v, problem] = coerce(spec, env[spec.env], true);
+      if (problem) problems.push(`${key}: ${problem} (env ${spec.env})`);
+      else [value, origin] = [v, `env ${spec.env}`];
+    }
+    setPath(settings, key, value);
+    origins[key] = origin;
+  }
+
+  if (settings.jobs.backoffMaxMs < settings.jobs.backoffBaseMs) {
+    problems.push("jobs.backoffMaxMs: must be >= jobs.backoffBaseMs");
+  }
+  if (settings.rateLimit.maxCooldownMs < settings.rateLimit.blockCooldownMs) {
+    problems.push("rateLimit.maxCooldownMs: must be >= rateLimit.blockCooldownMs");
+  }
+
+  if (settings.watch.intervalMs < settings.watch.minIntervalMs) {
+    problems.push("watch.intervalMs: must be >= watch.minIntervalMs");
+  }
+  if (settings.notify.webhookUrl && !/^https?:\/\/[^\s]+$/i.test(settings.notify.webhookUrl)) {
+    problems.push("notify.webhookUrl: must be an http(s) URL");
+  }
+  if (settings.notify.smtp.host && (!settings.notify.smtp.from || !settings.notify.emailTo.length)) {
+    problems.push("notify.smtp.host: email alerts also need notify.smtp.from and notify.emailTo");
+  }
+
+  if (settings.auth.tokenSecret && settings.auth.tokenSecret.length < 16) {
+    problems.push("auth.tokenSecret: must be at least 16 characters");
+  }
+
+  if (problems.length) {
+    const err = new Error(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    err.code = "CONFIG_INVALID";
+    err.problems = problems;
+    throw err;
+  }
+
+  return { settings: deepFreeze(settings), origins, file: fs.existsSync(filePath) ? filePath : null };
+}
+
+// Same shape with secrets replaced, for GET /api/config.
+export function publicConfig({ settings, origins, file }) {
+  const copy = structuredClone(settings);
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    if (!spec.secret) continue;
+    const set = Boolean(key.split(".").reduce((node, k) => node?.[k], settings));
+    setPath(copy, key, set ? "[redacted]" : "");
+  }
+  return { file, settings: copy, origins };
+}
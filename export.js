@@ -0,0 +1,174 @@
+// export.js (ESM)
+// Query options, row filters and formats for GET /api/export. An export row
+// is { listing, ts, fetchedAt, from: "cache" | "history" } where listing
+// carries numeric, addressParts, buildingId and unit; rows are written one at
+// a time so a large export never sits in memory as one string.
+//
+// Formats: csv (RFC 4180), excel (same columns with a UTF-8 BOM and CRLF so
+// Excel opens accents correctly) and geojson (one Point per listing at its
+// building's center; null geometry when the building is unknown).
+
+import { detectSource, LISTING_SOURCES } from "./parsers.js";
+
+const COLUMNS = [
+  ["fetchedAt", (r) => r.fetchedAt],
+  ["from", (r) => r.from],
+  ["url", (r) => r.listing.url],
+  ["source", (r) => r.listing.source],
+  ["status", (r) => r.listing.status],
+  ["buildingId", (r) => r.listing.buildingId],
+  ["unit", (r) => r.listing.unit],
+  ["address", (r) => r.listing.address],
+  ["civic", (r) => r.listing.addressParts?.civic],
+  ["civicTo", (r) => r.listing.addressParts?.civicTo],
+  ["street", (r) => r.listing.addressParts?.street],
+  ["city", (r) => r.listing.addressParts?.city],
+  ["postalCode", (r) => r.listing.addressParts?.postalCode],
+  ["beds", (r) => r.listing.beds],
+  ["baths", (r) => r.listing.baths],
+  ["levels", (r) => r.listing.levels],
+  ["yearBuilt", (r) => r.listing.yearBuilt],
+  ["mlsNumber", (r) => r.listing.mlsNumber],
+  ...[
+    "priceCad",
+    "areaSqft",
+    "areaM2",
+    "pricePerSqft",
+    "condoFeesMonthlyCad",
+    "municipalTaxesAnnualCad",
+    "schoolTaxesAnnualCad",
+    "taxesMonthlyCad",
+    "assessmentCad",
+  ].map((k) => [k, (r) => r.listing.numeric?.[k]]),
+];
+
+export const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  excel: { type: "text/csv; charset=utf-8", ext: "csv" },
+  geojson: { type: "application/geo+json; charset=utf-8", ext: "geojson" },
+};
+
+// -------------------- Options --------------------
+const LISTING_STATUSES = new Set(["active", "sold", "delisted", "blocked", "error"]);
+const listParam = (v) =>
+  [v ?? []]
+    .flat()
+    .flatMap((x) => String(x).split(","))
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// query is the request's query string; urls the already-normalized URL list.
+// Returns the filter options, or { error } for a 400.
+export function parseExportOptions(query, urls = []) {
+  const format = String(query.format || "csv").trim().toLowerCase();
+  if (!EXPORT_FORMATS[format]) return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}.` };
+  const sources = listParam(query.source);
+  const badSource = sources.find((id) => !LISTING_SOURCES[id]);
+  if (badSource) return { error: `Unknown source "${badSource}".` };
+  const statuses = listParam(query.status);
+  const buildingIds = listParam(query.building);
+  const badStatus = statuses.find((st) => !LISTING_STATUSES.has(st));
+  if (badStatus) return { error: `Unknown status "${badStatus}".` };
+
+  const range = {};
+  for (const name of ["since", "until"]) {
+    if (!query[name]) continue;
+    range[name] = Date.parse(String(query[name]));
+    if (Number.isNaN(range[name])) return { error: `${name} must be a date (e.g. 2026-01-31).` };
+  }
+
+  return {
+    format,
+    history: String(query.history || "").trim() === "1",
+    urls: urls.length ? new Set(urls) : null,
+    sources: sources.length ? new Set(sources) : null,
+    buildingIds: buildingIds.length ? new Set(buildingIds) : null,
+    statuses: statuses.length ? new Set(statuses) : null,
+    ...range,
+  };
+}
+
+// Applies the source/building/status/since/until filters to candidate rows
+// (the url and history options pick the candidates themselves).
+export function* filterExportRows(rows, opts) {
+  for (const row of rows) {
+    const l = row.listing;
+    if (opts.sources && !opts.sources.has(detectSource(l.url))) continue;
+    if (opts.buildingIds && !opts.buildingIds.has(l.buildingId)) continue;
+    if (opts.statuses && !opts.statuses.has(l.status)) continue;
+    if (opts.since != null && row.ts < opts.since) continue;
+    if (opts.until != null && row.ts >= opts.until) continue;
+    yield row;
+  }
+}
+
+// -------------------- Formats --------------------
+// Scraped text that starts like a formula would run as one in a spreadsheet.
+function csvCell(value) {
+  if (value == null || value === "N/A") return "";
+  let s = typeof value === "number" ? String(value) : String(value).replace(/\r?\n/g, " ");
+  if (typeof value === "string" && /^[=+\-@\t]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvFormat(eol, bom) {
+  const line = (cells) => `${cells.map(csvCell).join(",")}${eol}`;
+  return {
+    head: () => `${bom}${line(COLUMNS.map(([name]) => name))}`,
+    row: (r) => line(COLUMNS.map(([, get]) => get(r))),
+    separator: "",
+    tail: () => "",
+  };
+}
+
+// center(buildingId) -> { lat, lng } | null
+function geojsonFormat(center) {
+  return {
+    head: () => '{"type":"FeatureCollection","features":[\n',
+    row(r) {
+      const c = r.listing.buildingId ? center(r.listing.buildingId) : null;
+      const properties = Object.fromEntries(COLUMNS.map(([name, get]) => [name, get(r) ?? null]));
+      return JSON.stringify({
+        type: "Feature",
+        geometry: c ? { type: "Point", coordinates: [c.lng, c.lat] } : null,
+        properties,
+      });
+    },
+    separator: ",\n",
+    tail: () => "\n]}\n",
+  };
+}
+
+const drained = (out) =>
+  new Promise((resolve) => {
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+  });
+
+// Writes rows (any iterable) to a writable response, waiting on "drain" so
+// a slow client holds the export back instead of filling memory. Returns the
+// row count.
+export async function writeExport(out, rows, { format, center = () => null }) {
+  const excel = format === "excel";
+  const fmt = format === "geojson" ? geojsonFormat(center) : csvFormat(excel ? "\r\n" : "\n", excel ? "\uFEFF" : "");
+  const write = async (chunk) => {
+    if (!chunk || out.destroyed) return;
+    if (!out.write(chunk)) await drained(out);
+  };
+
+  let count = 0;
+  await write(fmt.head());
+  for (const r of rows) {
+    if (out.destroyed) break;
+    await write(`${count ? fmt.separator : ""}${fmt.row(r)}`);
+    count += 1;
+  }
+  await write(fmt.tail());
+  out.end();
+  return count;
+}
@@ -0,0 +1,185 @@
+// health.js (ESM)
+// Readiness and graceful shutdown. GET /readyz reports whether the server can
+// do useful scraping right now and why not: browser pool, cache store, scrape
+// and job queues, recent block rate. shutdown() drains open work before the
+// browser closes and the stores flush.
+//
+// Every dependency is passed in (pool, stores, queues, server, exit) so npm
+// test can drive both against stubs without Playwright.
+
+import fs from "node:fs";
+import { log } from "./logger.js";
+
+const realSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------------------- Recent scrape outcomes --------------------
+// Outcomes over the last windowMs (readiness.blockWindowMs).
+export function createOutcomeWindow(windowMs, clock = Date.now) {
+  const events = []; // { ts, source, outcome }, oldest first
+  const prune = (now) => {
+    while (events.length && events[0].ts < now - windowMs) events.shift();
+  };
+  return {
+    windowMs,
+    record(source, outcome) {
+      const now = clock();
+      events.push({ ts: now, source, outcome });
+      prune(now);
+    },
+    // { total, blocked, bySource: { id: { total, blocked } } }
+    summary() {
+      prune(clock());
+      const out = { total: 0, blocked: 0, bySource: {} };
+      for (const e of events) {
+        const src = (out.bySource[e.source] ||= { total: 0, blocked: 0 });
+        const blocked = e.outcome === "blocked" ? 1 : 0;
+        out.total += 1;
+        out.blocked += blocked;
+        src.total += 1;
+        src.blocked += blocked;
+      }
+      return out;
+    },
+  };
+}
+
+// -------------------- Readiness --------------------
+// report() -> { ok, shuttingDown, checks }; any failing check (or a shutdown
+// in progress) makes ok false. Too few scrapes in the window to judge counts
+// as a passing block rate.
+export function createReadiness({
+  browserPool,
+  cacheStore,
+  cacheKind,
+  dataDir,
+  scrapeGate,
+  jobQueue,
+  recentScrapes,
+  maxPendingJobs,
+  maxQueuedScrapes,
+  maxBlockRatePct,
+  minScrapes,
+  isStopping = () => false,
+}) {
+  function browserCheck() {
+    const stats = browserPool.stats();
+    // The pool relaunches lazily; start that now so a later probe can pass.
+    if (!stats.connected && !isStopping()) browserPool.ensureBrowser().catch(() => {});
+    return {
+      ok: stats.connected,
+      connected: stats.connected,
+      pages: stats.pages,
+      ...(stats.lastLaunchError ? { lastLaunchError: stats.lastLaunchError } : {}),
+    };
+  }
+
+  function cacheCheck() {
+    const failure = cacheStore.lastWriteError();
+    let writable = true;
+    if (cacheKind === "file") {
+      try {
+        fs.accessSync(dataDir, fs.constants.W_OK);
+      } catch {
+        writable = false;
+      }
+    }
+    return {
+      ok: writable && !failure,
+      store: cacheKind,
+      entries: cacheStore.size,
+      ...(writable ? {} : { error: `${dataDir} is not writable` }),
+      ...(failure ? { lastWriteError: failure } : {}),
+    };
+  }
+
+  function queueCheck() {
+    const queuedScrapes = Object.values(scrapeGate.stats()).reduce((n, g) => n + g.queued, 0);
+    const pendingJobs = jobQueue.pending();
+    return {
+      ok: queuedScrapes <= maxQueuedScrapes && pendingJobs < maxPendingJobs,
+      queuedScrapes,
+      maxQueuedScrapes,
+      pendingJobs,
+      maxPendingJobs,
+    };
+  }
+
+  function blockRateCheck() {
+    const { total, blocked, bySource } = recentScrapes.summary();
+    const pct = total ? Math.round((blocked / total) * 100) : 0;
+    return {
+      ok: total < minScrapes || pct <= maxBlockRatePct,
+      windowSec: Math.round(recentScrapes.windowMs / 1000),
+      scrapes: total,
+      blocked,
+      pct,
+      maxPct: maxBlockRatePct,
+      bySource,
+    };
+  }
+
+  return {
+    report() {
+      const checks = { browser: browserCheck(), cache: cacheCheck(), queue: queueCheck(), blockRate: blockRateCheck() };
+      const shuttingDown = isStopping();
+      return { ok: !shuttingDown && Object.values(checks).every((c) => c.ok), shuttingDown, checks };
+    },
+  };
+}
+
+// -------------------- Graceful shutdown --------------------
+// shutdown(signal): stop accepting connections (readiness fails from here
+// on), let open requests and in-flight scrapes finish for up to timeoutMs,
+// then close the browser and flush `stores`. Jobs still waiting for a retry
+// are failed; a watchlist run stops after its current URL. A second call
+// exits immediately with code 1.
+export function createShutdown({
+  server,
+  timeoutMs,
+  inflight,
+  jobQueue,
+  watchRunner,
+  stopInbox = () => {},
+  browserPool,
+  stores = [],
+  sleep = realSleep,
+  exit = (code) => process.exit(code),
+}) {
+  let stopping = false;
+
+  return {
+    get stopping() {
+      return stopping;
+    },
+
+    async shutdown(signal) {
+      if (stopping) {
+        log.warn("forced exit", { signal });
+        return exit(1);
+      }
+      stopping = true;
+      const t0 = Date.now();
+      log.info("shutting down", { signal, inflightScrapes: inflight.size, pendingJobs: jobQueue.pending() });
+
+      stopInbox();
+      const watchStopped = watchRunner.stop(); // finishes the URL it is on
+      jobQueue.cancelWaiting("Server shut down before the next attempt.");
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeIdleConnections();
+
+      const drained = await Promise.race([
+        Promise.all([closed, watchStopped, Promise.allSettled(inflight.values())]).then(() => true),
+        sleep(timeoutMs).then(() => false),
+      ]);
+      if (!drained) {
+        log.warn("shutdown timed out, dropping open work", { inflightScrapes: inflight.size });
+        server.closeAllConnections();
+      }
+
+      await browserPool.close().catch((e) => log.error("browser close failed", { error: e }));
+      await Promise.allSettled(stores.map((s) => s.flush()));
+      log.info("shutdown complete", { ms: Date.now() - t0, drained });
+      return exit(0);
+    },
+  };
+}
@@ -0,0 +1,349 @@
+// inbox.js (ESM)
+// Gmail label ingestion: polls a label for listing alert emails, pulls the
+// listing URLs out of them and hands each one (with the address found next
+// to it as addressHint) to the server's scrape pipeline.
+//
+// The Gmail client is injected: anything shaped like googleapis'
+// gmail.users.{labels.list, messages.list, messages.get} works, so tests can
+// pass a local fake instead of the real API.
+
+import fs from "node:fs";
+import path from "node:path";
+import { load } from "cheerio";
+import { cleanText, looksLikeRealAddress } from "./parsers.js";
+import { log } from "./logger.js";
+
+// -------------------- Gmail client --------------------
+// OAuth "installed app" credentials + a saved token, as produced by the
+// googleapis quickstart. `rootUrl` points the client at a local fake Gmail.
+// Returns null when nothing is configured so the server can run without it.
+export async function createGmailClient({ credentialsPath, tokenPath, rootUrl } = {}) {
+  const hasFiles = credentialsPath && tokenPath && fs.existsSync(credentialsPath) && fs.existsSync(tokenPath);
+  if (!hasFiles && !rootUrl) return null;
+
+  const { google } = await import("googleapis");
+  let auth;
+  if (hasFiles) {
+    const creds = JSON.parse(fs.readFileSync(credentialsPath, "utf8"));
+    const { client_id, client_secret, redirect_uris } = creds.installed || creds.web || {};
+    auth = new google.auth.OAuth2(client_id, client_secret, redirect_uris?.[0]);
+    auth.setCredentials(JSON.parse(fs.readFileSync(tokenPath, "utf8")));
+  }
+  return google.gmail({ version: "v1", ...(auth ? { auth } : {}), ...(rootUrl ? { rootUrl } : {}) });
+}
+
+// -------------------- Message decoding --------------------
+function decodeBase64Url(data) {
+  return Buffer.from(String(data || "").replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8");
+}
+
+function header(payload, name) {
+  const h = (payload?.headers || []).find((x) => String(x.name).toLowerCase() === name.toLowerCase());
+  return h ? cleanText(h.value) : "";
+}
+
+// Walks multipart payloads and returns the concatenated text/plain and
+// text/html bodies.
+export function messageBodies(payload) {
+  const out = { text: "", html: "" };
+  const visit = (part) => {
+    if (!part) return;
+    const type = String(part.mimeType || "").toLowerCase();
+    if (part.body?.data) {
+      if (type === "text/plain") out.text += `${decodeBase64Url(part.body.data)}\n`;
+      else if (type === "text/html") out.html += decodeBase64Url(part.body.data);
+    }
+    for (const p of part.parts || []) visit(p);
+  };
+  visit(payload);
+  return out;
+}
+
+// -------------------- URL + address extraction --------------------
+const URL_RE = /https?:\/\/[^\s"'<>)\]]+/gi;
+const TRACKING_PARAMS = /^(utm_|mc_|fbclid$|gclid$|_hs)/i;
+
+// Alert emails wrap links in click-tracking redirects; the real listing URL
+// is usually an encoded query parameter. That wins even when the tracker
+// itself sits on a listing host (click.centris.ca).
+function unwrapTrackingUrl(href, isListingUrl) {
+  let u;
+  try {
+    u = new URL(href);
+  } catch {
+    return null;
+  }
+  for (const v of u.searchParams.values()) {
+    if (/^https?:\/\//i.test(v) && isListingUrl(v)) return new URL(v);
+  }
+  return isListingUrl(u.href) ? u : null;
+}
+
+function canonicalUrl(u) {
+  const out = new URL(u.href);
+  out.hash = "";
+  for (const k of [...out.searchParams.keys()]) if (TRACKING_PARAMS.test(k)) out.searchParams.delete(k);
+  return out.href;
+}
+
+function firstAddress(candidates) {
+  for (const c of candidates) {
+    const t = cleanText(c);
+    if (t.length <= 160 && looksLikeRealAddress(t)) return t;
+  }
+  return "";
+}
+
+// Text fragments of the closest few ancestors of a link, nearest first.
+function nearbyTexts($, el) {
+  const texts = [$(el).text()];
+  let node = $(el).parent();
+  for (let depth = 0; depth < 4 && node.length; depth += 1) {
+    node
+      .find("*")
+      .addBack()
+      .contents()
+      .each((_, c) => {
+        if (c.type === "text") texts.push(c.data);
+      });
+    node = node.parent();
+  }
+  return texts;
+}
+
+// Returns [{ url, addressHint }] deduped by URL, in email order.
+export function extractListingLinks({ text = "", html = "", subject = "" }, isListingUrl) {
+  const found = new Map();
+  const subjectAddress = firstAddress([subject]);
+  const add = (rawUrl, addressHint) => {
+    const u = unwrapTrackingUrl(rawUrl, isListingUrl);
+    if (!u) return;
+    const url = canonicalUrl(u);
+    const prev = found.get(url);
+    if (!prev || (!prev.addressHint && addressHint)) found.set(url, { url, addressHint: addressHint || subjectAddress });
+  };
+
+  if (html) {
+    const $ = load(html);
+    $("a[href]").each((_, el) => add($(el).attr("href"), firstAddress(nearbyTexts($, el))));
+  }
+
+  if (text) {
+    const lines = text.split(/\r?\n/);
+    lines.forEach((line, i) => {
+      for (const m of line.match(URL_RE) || []) {
+        const around = [line.replace(m, " "), lines[i - 1], lines[i - 2], lines[i + 1], lines[i - 3]];
+        add(m, firstAddress(around.filter(Boolean)));
+      }
+    });
+  }
+
+  return [...found.values()];
+}
+
+// -------------------- Seen messages --------------------
+// Message ids whose links were all queued, persisted so a restart doesn't
+// scrape the whole label again, plus the newest message so /api/inbox/latest
+// survives the restart too. Only the newest `max` ids are kept: the label is
+// polled newest-first, maxMessages at a time.
+function createSeenStore(file, max = 5000) {
+  const ids = new Set();
+  let latest = null;
+  if (file) {
+    try {
+      const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const id of doc.messageIds || []) ids.add(id);
+      latest = doc.latest || null;
+    } catch (e) {
+      if (e.code !== "ENOENT") log.error("cannot read inbox seen file", { file, error: e });
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, `${JSON.stringify({ messageIds: [...ids], latest })}\n`);
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log.error("cannot write inbox seen file", { file, error: e });
+    }
+  }
+
+  return {
+    has: (id) => ids.has(id),
+    add(id) {
+      ids.add(id);
+      for (const old of ids) {
+        if (ids.size <= max) break;
+        ids.delete(old);
+      }
+      save();
+    },
+    get latest() {
+      return latest;
+    },
+    set latest(message) {
+      latest = message;
+      save();
+    },
+    get size() {
+      return ids.size;
+    },
+  };
+}
+
+// What /api/inbox/latest shows after a restart: the message and its links,
+// without the scraped listings (the jobs that held them are gone).
+const persistedMessage = (message) => ({
+  ...message,
+  items: message.items.map(({ url, addressHint, jobId }) => ({ url, addressHint, jobId })),
+});
+
+// -------------------- Ingestor --------------------
+// Polls `label`, extracts listing links from new messages and queues each one
+// through enqueue(url, addressHint) -> Promise<{ jobId, result }>, where result
+// is a Promise<{ listing }> that settles when the scrape does (the server's
+// job queue). enqueue rejects when it cannot queue the link (queue full): the
+// message then stays unseen and its remaining links are retried next poll.
+// Results are kept in memory for the /api/inbox routes.
+export function createInboxIngestor({
+  gmail,
+  label,
+  pollMs = 5 * 60 * 1000,
+  maxMessages = 10,
+  maxItems = 500,
+  seenFile = null,
+  isListingUrl,
+  enqueue,
+}) {
+  const seen = createSeenStore(seenFile);
+  const queuedLinks = new Map(); // message id -> urls already queued, for messages not fully queued yet
+  const items = []; // newest first
+  const state = { labelId: null, lastPollAt: null, lastError: null, latest: seen.latest };
+  let timer = null;
+  let polling = null;
+
+  async function resolveLabelId() {
+    if (state.labelId) return state.labelId;
+    const res = await gmail.users.labels.list({ userId: "me" });
+    const hit = (res.data.labels || []).find((l) => String(l.name).toLowerCase() === label.toLowerCase());
+    if (!hit) throw new Error(`Gmail label "${label}" not found`);
+    state.labelId = hit.id;
+    return hit.id;
+  }
+
+  // Resolves true once the link is queued; the item settles with the scrape.
+  async function track(message, link) {
+    const item = {
+      ...link,
+      messageId: message.id,
+      subject: message.subject,
+      receivedAt: message.receivedAt,
+      status: "queued",
+      listing: null,
+      jobId: null,
+      error: null,
+    };
+    items.unshift(item);
+    if (items.length > maxItems) items.length = maxItems;
+
+    const failed = (e) => {
+      item.status = "error";
+      item.error = String(e?.message || e);
+    };
+    let queued;
+    try {
+      queued = await enqueue(link.url, link.addressHint);
+    } catch (e) {
+      failed(e);
+      return { item, ok: false };
+    }
+    item.jobId = queued?.jobId || null;
+    Promise.resolve(queued?.result)
+      .then((result) => {
+        item.listing = result?.listing || null;
+        item.status = item.listing?._blocked ? "blocked" : item.listing?._error ? "error" : "done";
+      })
+      .catch(failed);
+    return { item, ok: true };
+  }
+
+  async function ingestMessage(id) {
+    const res = await gmail.users.messages.get({ userId: "me", id, format: "full" });
+    const payload = res.data.payload;
+    const subject = header(payload, "Subject");
+    const message = {
+      id,
+      subject,
+      from: header(payload, "From"),
+      receivedAt: new Date(Number(res.data.internalDate) || Date.now()).toISOString(),
+    };
+    const done = queuedLinks.get(id) || new Set();
+    const links = extractListingLinks({ ...messageBodies(payload), subject }, isListingUrl);
+    for (const link of links.filter((l) => !done.has(l.url))) {
+      if ((await track(message, link)).ok) done.add(link.url);
+    }
+    const complete = done.size === links.length;
+    if (complete) queuedLinks.delete(id);
+    else queuedLinks.set(id, done);
+
+    // Newest item per link, so a retried message lists each link once.
+    const latestItem = new Map();
+    for (const item of items) if (item.messageId === id && !latestItem.has(item.url)) latestItem.set(item.url, item);
+    return { message: { ...message, items: links.map((l) => latestItem.get(l.url)).filter(Boolean) }, complete };
+  }
+
+  async function pollOnce() {
+    if (polling) return polling;
+    polling = (async () => {
+      try {
+        const labelId = await resolveLabelId();
+        const res = await gmail.users.messages.list({ userId: "me", labelIds: [labelId], maxResults: maxMessages });
+        const ids = (res.data.messages || []).map((m) => m.id);
+
+        // Oldest first so `latest` ends on the newest message.
+        for (const id of ids.reverse()) {
+          if (seen.has(id)) continue;
+          const { message, complete } = await ingestMessage(id);
+          if (complete) seen.add(id);
+          if (!state.latest || message.receivedAt >= state.latest.receivedAt) {
+            state.latest = message;
+            seen.latest = persistedMessage(message);
+          }
+        }
+        state.lastError = null;
+      } catch (e) {
+        state.lastError = String(e?.message || e);
+      } finally {
+        state.lastPollAt = new Date().toISOString();
+        polling = null;
+      }
+    })();
+    return polling;
+  }
+
+  return {
+    pollOnce,
+    start() {
+      if (timer) return;
+      pollOnce();
+      timer = setInterval(pollOnce, pollMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    status() {
+      return { label, lastPollAt: state.lastPollAt, lastError: state.lastError, seenMessages: seen.size };
+    },
+    latest() {
+      return state.latest;
+    },
+    listings() {
+      return items;
+    },
+  };
+}
@@ -0,0 +1,141 @@
+// jobs.js (ESM)
+// In-memory scrape job queue. A blocked or failed attempt is retried with
+// exponential backoff + jitter up to maxAttempts; finished jobs are dropped
+// ttlMs after they finish.
+//
+// The scrape is injected: attempt(job) -> Promise<{ listing, cached }> and
+// must not throw (the server turns errors into a `_error` listing). A
+// listing with `_blocked` or `_error` counts as a failed attempt; sold and
+// delisted are answers. minRetryDelayMs(job) lets the caller hold a retry
+// back further (the per-host rate limiter); isStopping() turns every failure
+// into a final one during shutdown.
+
+import { randomUUID } from "node:crypto";
+import { log, withLogContext } from "./logger.js";
+
+export const JOB_STATUSES = new Set(["queued", "running", "retrying", "done", "failed"]);
+
+const isFinished = (job) => job.status === "done" || job.status === "failed";
+
+// Half fixed, half random: retries spread out but never fire back-to-back.
+export function backoffDelay(attempt, { baseMs, maxMs, random = Math.random }) {
+  const step = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+export function createJobQueue({
+  attempt,
+  maxAttempts = 4,
+  backoffBaseMs = 5000,
+  backoffMaxMs = 5 * 60 * 1000,
+  ttlMs = 60 * 60 * 1000,
+  minRetryDelayMs = () => 0,
+  isStopping = () => false,
+  random = Math.random,
+}) {
+  const jobs = new Map(); // id -> job, oldest first
+  const timers = new Map(); // id -> timer for jobs waiting on their next attempt
+  const waiters = new Map(); // id -> resolve() of settled(id)
+
+  function finish(job, status) {
+    job.status = status;
+    job.nextAttemptAt = null;
+    job.finishedAt = job.updatedAt;
+    waiters.get(job.id)?.resolve(job);
+    waiters.delete(job.id);
+  }
+
+  function schedule(job, delayMs) {
+    job.nextAttemptAt = Date.now() + delayMs;
+    const timer = setTimeout(() => withLogContext({ jobId: job.id }, () => run(job)), delayMs);
+    timer.unref?.();
+    timers.set(job.id, timer);
+  }
+
+  async function run(job) {
+    timers.delete(job.id);
+    job.status = "running";
+    job.attempts += 1;
+    job.nextAttemptAt = null;
+    job.updatedAt = Date.now();
+
+    const { listing, cached } = await attempt(job);
+    job.listing = listing;
+    job.cached = Boolean(cached);
+    job.updatedAt = Date.now();
+    job.lastError = listing?._blocked ? "blocked" : listing?._error || null;
+
+    if (!job.lastError) finish(job, "done");
+    else if (job.attempts >= job.maxAttempts || isStopping()) finish(job, "failed");
+    else {
+      job.status = "retrying";
+      const delay = backoffDelay(job.attempts, { baseMs: backoffBaseMs, maxMs: backoffMaxMs, random });
+      schedule(job, Math.max(delay, minRetryDelayMs(job)));
+    }
+    log.info("job attempt", {
+      jobId: job.id,
+      source: job.source,
+      attempt: job.attempts,
+      status: job.status,
+      ...(job.lastError ? { error: job.lastError.split("\n")[0] } : {}),
+    });
+  }
+
+  return {
+    // fields: { url, addressHint, source, refresh }
+    create(fields) {
+      const now = Date.now();
+      const job = {
+        id: randomUUID(),
+        ...fields,
+        status: "queued",
+        attempts: 0,
+        maxAttempts,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now,
+        finishedAt: null,
+        lastError: null,
+        cached: false,
+        listing: null,
+      };
+      jobs.set(job.id, job);
+      schedule(job, 0);
+      return job;
+    },
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()],
+    // Resolves with the job once it is done or failed.
+    settled(id) {
+      const job = jobs.get(id);
+      if (!job || isFinished(job)) return Promise.resolve(job || null);
+      if (!waiters.has(id)) {
+        let resolve;
+        const promise = new Promise((r) => (resolve = r));
+        waiters.set(id, { promise, resolve });
+      }
+      return waiters.get(id).promise;
+    },
+    pending() {
+      let n = 0;
+      for (const job of jobs.values()) if (!isFinished(job)) n += 1;
+      return n;
+    },
+    prune() {
+      const cutoff = Date.now() - ttlMs;
+      for (const [id, job] of jobs) if (isFinished(job) && job.finishedAt < cutoff) jobs.delete(id);
+    },
+    // Fails every job that is waiting for its next attempt (used on shutdown).
+    cancelWaiting(reason) {
+      const now = Date.now();
+      for (const [id, timer] of timers) {
+        clearTimeout(timer);
+        const job = jobs.get(id);
+        if (!job) continue;
+        Object.assign(job, { lastError: reason, updatedAt: now });
+        finish(job, "failed");
+      }
+      timers.clear();
+    },
+  };
+}
@@ -0,0 +1,148 @@
+// limits.js (ESM)
+// Outbound scrape limits: a per-source worker pool (one semaphore per
+// source, so a slow Centris session doesn't hold up DuProprio/Kijiji) and a
+// per-host token bucket in front of every fetch, direct or Playwright.
+//
+// clock() -> ms and sleep(ms) are injectable so refill timing can be tested
+// without waiting, as in apikeys.js.
+
+import { log } from "./logger.js";
+
+const realSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------------------- Semaphore --------------------
+export function createSemaphore(max = 1) {
+  let active = 0;
+  const queue = [];
+  return {
+    async acquire() {
+      if (active < max) {
+        active += 1;
+        return;
+      }
+      await new Promise((resolve) => queue.push(resolve));
+      active += 1;
+    },
+    release() {
+      active = Math.max(0, active - 1);
+      const next = queue.shift();
+      if (next) next();
+    },
+    stats() {
+      return { max, active, queued: queue.length };
+    },
+  };
+}
+
+// -------------------- Scrape worker pool --------------------
+// limits: { sourceId: concurrency }; unknown ids get one slot.
+export function createScrapePool(limits) {
+  const gates = new Map(); // source id -> semaphore
+  const gateFor = (id) => {
+    if (!gates.has(id)) {
+      gates.set(id, createSemaphore(limits[id] || 1));
+    }
+    return gates.get(id);
+  };
+  return {
+    acquire: (id) => gateFor(id).acquire(),
+    release: (id) => gateFor(id).release(),
+    stats() {
+      return Object.fromEntries([...gates].map(([id, gate]) => [id, gate.stats()]));
+    },
+  };
+}
+
+// -------------------- Host rate limiting --------------------
+// perMin sustained, burst back-to-back, and at least spacingFor(url) ms
+// between two hits on one host. A blocked scrape puts the host in cooldown,
+// doubling per consecutive block up to maxCooldownMs. take() fails fast with
+// a RATE_LIMITED error when the wait would exceed maxWaitMs, instead of
+// holding a scrape slot.
+export function hostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return String(url);
+  }
+}
+
+export function createHostLimiter({
+  perMin,
+  burst,
+  spacingFor = () => 0,
+  cooldownMs,
+  maxCooldownMs,
+  maxWaitMs,
+  clock = Date.now,
+  sleep = realSleep,
+}) {
+  const hosts = new Map(); // host -> bucket
+  const refillMs = 60000 / perMin;
+
+  const bucketFor = (url) => {
+    const host = hostKey(url);
+    if (!hosts.has(host)) {
+      hosts.set(host, { tokens: burst, refilledAt: clock(), lastAt: 0, cooldownUntil: 0, blocks: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  // ms until `url`'s host may be hit again (0 = now), or until it has
+  // tokens for `count` hits (Infinity when count exceeds the burst).
+  function waitMs(url, count = 1) {
+    if (count > burst) return Infinity;
+    const b = bucketFor(url);
+    const now = clock();
+    b.tokens = Math.min(burst, b.tokens + (now - b.refilledAt) / refillMs);
+    b.refilledAt = now;
+    const forToken = b.tokens >= count ? 0 : (count - b.tokens) * refillMs;
+    return Math.ceil(Math.max(0, forToken, b.lastAt + spacingFor(url) - now, b.cooldownUntil - now));
+  }
+
+  return {
+    waitMs,
+    // Whether a forced refresh of `urls` fits every host's budget right now:
+    // { ok: true }, { ok: false, host } when one host gets more URLs than the
+    // burst, or { ok: false, retryAfterSec } (the Retry-After value).
+    refreshBudget(urls) {
+      const byHost = new Map(); // host -> { url, count }
+      for (const url of urls) {
+        const entry = byHost.get(hostKey(url)) || { url, count: 0 };
+        entry.count += 1;
+        byHost.set(hostKey(url), entry);
+      }
+      let wait = 0;
+      for (const [host, { url, count }] of byHost) {
+        if (count > burst) return { ok: false, host };
+        wait = Math.max(wait, waitMs(url, count));
+      }
+      return wait > 0 ? { ok: false, retryAfterSec: Math.ceil(wait / 1000) } : { ok: true };
+    },
+    // Waits for a token, or throws a RATE_LIMITED error when the wait is too long.
+    async take(url) {
+      for (let wait = waitMs(url); wait > 0; wait = waitMs(url)) {
+        if (wait > maxWaitMs) {
+          const err = new Error(`Rate limited on ${hostKey(url)}, retry in ${Math.ceil(wait / 1000)}s`);
+          err.code = "RATE_LIMITED";
+          err.retryAfterMs = wait;
+          throw err;
+        }
+        await sleep(wait);
+      }
+      const b = bucketFor(url);
+      b.tokens -= 1;
+      b.lastAt = clock();
+    },
+    noteBlocked(url) {
+      const b = bucketFor(url);
+      b.blocks += 1;
+      const ms = Math.min(maxCooldownMs, cooldownMs * 2 ** (b.blocks - 1));
+      b.cooldownUntil = clock() + ms;
+      log.warn("host cooling down", { host: hostKey(url), blocks: b.blocks, cooldownMs: ms });
+    },
+    noteOk(url) {
+      bucketFor(url).blocks = 0;
+    },
+  };
+}
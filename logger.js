@@ -0,0 +1,49 @@
+// logger.js (ESM)
+// Structured logs: one JSON object per line, e.g.
+//   {"ts":"...","level":"info","msg":"scrape","reqId":"...","source":"centris","ms":5120}
+// server.js opens a log context per request (and per job attempt) with
+// withLogContext(); every line written inside it, down to the scrape and the
+// browser pool, carries those fields without passing them around by hand.
+// LOG_FORMAT=text gives a terser line for local dev.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const scope = new AsyncLocalStorage();
+let minLevel = LEVELS.info;
+let format = "json";
+
+export function configureLogger({ level = "info", format: fmt = "json" } = {}) {
+  minLevel = LEVELS[level] ?? LEVELS.info;
+  format = fmt;
+}
+
+// Runs fn with `fields` added to the current context.
+export function withLogContext(fields, fn) {
+  return scope.run({ ...scope.getStore(), ...fields }, fn);
+}
+
+const errorFields = (e) => ({ error: String(e?.message || e).split("\n")[0] });
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+  const rec = { ts: new Date().toISOString(), level, msg, ...scope.getStore(), ...fields };
+  if (rec.error instanceof Error) Object.assign(rec, errorFields(rec.error));
+
+  let line;
+  if (format === "text") {
+    const { ts, level: _l, msg: _m, ...rest } = rec;
+    const kv = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+    line = `${ts} ${level.toUpperCase()} ${msg}${kv.length ? ` ${kv.join(" ")}` : ""}`;
+  } else {
+    line = JSON.stringify(rec);
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
@@ -0,0 +1,90 @@
+// metrics.js (ESM)
+// Minimal Prometheus registry: counters, histograms and gauges read at
+// scrape time, rendered in the text exposition format for GET /metrics.
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Series keyed by their label values, in labelNames order.
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((n) => [n, labels[n] ?? ""]));
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // key -> { labels, value }
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => [...series.values()].map((s) => `${name}${labelString(s.labels)} ${s.value}`),
+    });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = seriesKey(labelNames, labels);
+        const s = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        s.value += n;
+        series.set(key, s);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+    const series = new Map(); // key -> { labels, counts[], sum, count }
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        [...series.values()].flatMap((s) => [
+          ...buckets.map((le, i) => `${name}_bucket${labelString({ ...s.labels, le })} ${s.counts[i]}`),
+          `${name}_bucket${labelString({ ...s.labels, le: "+Inf" })} ${s.count}`,
+          `${name}_sum${labelString(s.labels)} ${s.sum}`,
+          `${name}_count${labelString(s.labels)} ${s.count}`,
+        ]),
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let s = series.get(key);
+        if (!s) series.set(key, (s = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      },
+    };
+  }
+
+  // collect() -> [[labels, value], ...], called on every render.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      lines: () => collect().map(([labels, value]) => `${name}${labelString(labels)} ${Number(value) || 0}`),
+    });
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render() {
+      return `${metrics
+        .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+        .join("\n")}\n`;
+    },
+  };
+}
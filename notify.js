@@ -0,0 +1,245 @@
+// notify.js (ESM)
+// Outbound transports for watchlist alerts. A transport is any object shaped
+// { name, send(digest) -> Promise } that throws on failure; the server builds
+// the configured ones (webhook, email) and hands them to createNotifier().
+// Both talk plain HTTP/SMTP, so a local stub server is enough to test them.
+//
+// Digest: { watchlist: { id, name }, checkedAt, changes: [{ url, address,
+// type: "price" | "condoFees" | "sold" | "delisted" | "back", from, to,
+// delta }] }
+
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import { createHmac } from "node:crypto";
+import { log } from "./logger.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------------------- Webhook --------------------
+// POSTs the digest as JSON. With a secret, X-Signature carries
+// sha256=<hex hmac of the body> so the receiver can check the sender.
+export function createWebhookTransport({ url, secret = "", timeoutMs = 10000 }) {
+  return {
+    name: "webhook",
+    async send(digest) {
+      const body = JSON.stringify({ event: "watchlist.changes", ...digest });
+      const headers = { "Content-Type": "application/json", "User-Agent": "listing-watch/1" };
+      if (secret) headers["X-Signature"] = `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+      const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      if (!res.ok) throw new Error(`webhook answered HTTP ${res.status}`);
+    },
+  };
+}
+
+// -------------------- Email digest --------------------
+const CHANGE_LABELS = {
+  price: "Price",
+  condoFees: "Condo fees",
+  sold: "Sold",
+  delisted: "No longer listed",
+  back: "Listed again",
+};
+
+function describeChange(c) {
+  if (!("delta" in c)) return CHANGE_LABELS[c.type] || c.type;
+  const delta = c.delta == null ? "" : ` (${c.delta > 0 ? "+" : ""}${c.delta.toLocaleString("en-CA")})`;
+  return `${CHANGE_LABELS[c.type] || c.type}: ${c.from} -> ${c.to}${delta}`;
+}
+
+export function formatDigestEmail(digest) {
+  const n = digest.changes.length;
+  const subject = `[${digest.watchlist.name}] ${n} listing change${n === 1 ? "" : "s"}`;
+  const byUrl = new Map();
+  for (const c of digest.changes) {
+    if (!byUrl.has(c.url)) byUrl.set(c.url, { address: c.address, lines: [] });
+    byUrl.get(c.url).lines.push(describeChange(c));
+  }
+  const blocks = [...byUrl].map(([url, { address, lines }]) =>
+    [address && address !== "N/A" ? address : url, ...lines.map((l) => `  - ${l}`), `  ${url}`].join("\n")
+  );
+  const intro = `Watchlist "${digest.watchlist.name}", checked ${digest.checkedAt}`;
+  const text = [intro, "", blocks.join("\n\n"), ""].join("\n");
+  return { subject, text };
+}
+
+// -------------------- Minimal SMTP client --------------------
+// Enough of RFC 5321 for a relay: EHLO, STARTTLS, AUTH PLAIN, one message.
+function smtpSession(socket, timeoutMs) {
+  let buffer = "";
+  let waiter = null;
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    flushReply();
+  };
+  // A reply is complete at a "NNN " line (multi-line replies use "NNN-").
+  function flushReply() {
+    if (!waiter) return;
+    const lines = buffer.split("\r\n");
+    const end = lines.findIndex((l) => /^\d{3} /.test(l) || /^\d{3}$/.test(l));
+    if (end === -1) return;
+    const reply = lines.slice(0, end + 1);
+    buffer = lines.slice(end + 1).join("\r\n");
+    const w = waiter;
+    waiter = null;
+    clearTimeout(w.timer);
+    w.resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map((l) => l.slice(4)) });
+  }
+  const attach = (s) => {
+    s.on("data", onData);
+    s.on("error", (e) => waiter?.reject(e));
+  };
+  attach(socket);
+
+  return {
+    read(expect) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("SMTP timeout")), timeoutMs);
+        waiter = {
+          timer,
+          reject: (e) => {
+            clearTimeout(timer);
+            waiter = null;
+            reject(e);
+          },
+          resolve: (reply) => {
+            if (reply.code === expect) return resolve(reply);
+            reject(new Error(`SMTP expected ${expect}, got ${reply.code} ${reply.lines.join(" ")}`));
+          },
+        };
+        flushReply();
+      });
+    },
+    async command(line, expect) {
+      socket.write(`${line}\r\n`);
+      return this.read(expect);
+    },
+    upgrade(next) {
+      socket.off("data", onData);
+      socket = next;
+      attach(socket);
+    },
+    get socket() {
+      return socket;
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error("SMTP connect timeout"));
+    }, timeoutMs);
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+const dotStuff = (text) => text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+
+function buildMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${subject.replace(/[\r\n]+/g, " ")}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    text,
+  ].join("\r\n");
+}
+
+export async function sendMail({
+  host,
+  port,
+  secure = false,
+  startTls = true,
+  user,
+  pass,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = 15000,
+}) {
+  const socket = await connect({ host, port, secure, timeoutMs });
+  const smtp = smtpSession(socket, timeoutMs);
+  try {
+    await smtp.read(220);
+    let ehlo = await smtp.command(`EHLO ${os.hostname() || "localhost"}`, 250);
+    const offers = (kw) => ehlo.lines.some((l) => l.toUpperCase().startsWith(kw));
+
+    // Never fall back to cleartext: AUTH would send the password in the open.
+    if (!secure && startTls) {
+      if (!offers("STARTTLS")) {
+        throw new Error("SMTP server does not offer STARTTLS (set notify.smtp.startTls=false to allow cleartext)");
+      }
+      await smtp.command("STARTTLS", 220);
+      const upgraded = tls.connect({ socket: smtp.socket, servername: host });
+      await new Promise((resolve, reject) => upgraded.once("secureConnect", resolve).once("error", reject));
+      smtp.upgrade(upgraded);
+      ehlo = await smtp.command(`EHLO ${os.hostname() || "localhost"}`, 250);
+    }
+    if (user) {
+      await smtp.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, 235);
+    }
+
+    await smtp.command(`MAIL FROM:<${from}>`, 250);
+    for (const rcpt of to) await smtp.command(`RCPT TO:<${rcpt}>`, 250);
+    await smtp.command("DATA", 354);
+    await smtp.command(`${dotStuff(buildMessage({ from, to, subject, text }))}\r\n.`, 250);
+    await smtp.command("QUIT", 221).catch(() => {});
+  } finally {
+    smtp.socket.destroy();
+  }
+}
+
+// One email per digest to the configured recipients.
+export function createEmailTransport({ host, port, secure, startTls, user, pass, from, to, timeoutMs }) {
+  return {
+    name: "email",
+    async send(digest) {
+      const { subject, text } = formatDigestEmail(digest);
+      await sendMail({ host, port, secure, startTls, user, pass, from, to, subject, text, timeoutMs });
+    },
+  };
+}
+
+// -------------------- Notifier --------------------
+// Fans a digest out to the named transports. Each one gets a few attempts;
+// send() never throws and reports { [name]: "ok" | error message }.
+export function createNotifier(transports, { attempts = 3, retryDelayMs = 2000 } = {}) {
+  const byName = new Map(transports.map((t) => [t.name, t]));
+  return {
+    names: () => [...byName.keys()],
+    async send(digest, names = [...byName.keys()]) {
+      const results = {};
+      for (const name of names) {
+        const transport = byName.get(name);
+        if (!transport) continue;
+        for (let attempt = 1; attempt <= attempts; attempt += 1) {
+          try {
+            await transport.send(digest);
+            results[name] = "ok";
+            break;
+          } catch (e) {
+            results[name] = String(e?.message || e);
+            log.warn("notification failed", { transport: name, watchlist: digest.watchlist.id, attempt, error: e });
+            if (attempt < attempts) await sleep(retryDelayMs * 2 ** (attempt - 1));
+          }
+        }
+      }
+      return results;
+    },
+  };
+}
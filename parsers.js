@@ -0,0 +1,1043 @@
+// parsers.js (ESM)
+// Pure HTML -> listing parsing shared by the server and the offline fixture
+// runner (scripts/check-fixtures.js). No network, no Playwright.
+
+import { load } from "cheerio";
+
+// -------------------- Helpers --------------------
+export function cleanText(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+export function isPresent(v) {
+  return v != null && v !== "" && v !== "N/A";
+}
+
+// Reads both English ("$1,234.56") and French ("1 234,56 $") number formats.
+// A lone comma followed by 1-2 digits is a decimal comma; otherwise commas,
+// spaces and no-break spaces are thousands separators.
+export function parseLocaleNumber(s) {
+  let t = String(s ?? "").replace(/[^\d,.]/g, "");
+  if (!/\d/.test(t)) return null;
+  const lastComma = t.lastIndexOf(",");
+  const lastDot = t.lastIndexOf(".");
+  if (lastComma >= 0 && lastDot >= 0) {
+    const dec = lastComma > lastDot ? "," : ".";
+    t = t.replace(dec === "," ? /\./g : /,/g, "").replace(",", ".");
+  } else if (lastComma >= 0) {
+    t = /^\d+,\d{1,2}$/.test(t) ? t.replace(",", ".") : t.replace(/,/g, "");
+  } else if ((t.match(/\./g) || []).length > 1) {
+    t = t.replace(/\./g, "");
+  }
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function moneyToNumber(s) {
+  return parseLocaleNumber(s);
+}
+
+export function formatMoney(n) {
+  if (!Number.isFinite(n)) return "N/A";
+  return n.toLocaleString("en-CA", {
+    style: "currency",
+    currency: "CAD",
+    maximumFractionDigits: 0,
+  });
+}
+
+// "$450,000", "$ 450 000" or "450 000 $" inside free text. Only properly
+// grouped digits count, so "$450,000, 2 bedrooms" stops at the price.
+const MONEY_AMOUNT = String.raw`(?:\d{1,3}(?:[\s,.\u00a0]\d{3})+|\d+)(?:[.,]\d{1,2})?(?!\d)`;
+const MONEY_RE = new RegExp(String.raw`\$\s*${MONEY_AMOUNT}|${MONEY_AMOUNT}\s*\$`);
+
+function extractMoneyFromText(s) {
+  const t = cleanText(s);
+  const m = t.match(MONEY_RE);
+  return m ? cleanText(m[0]) : "";
+}
+
+// Display price in the en-CA format regardless of the page locale.
+function normalizePriceString(s) {
+  const n = moneyToNumber(extractMoneyFromText(s));
+  return n ? formatMoney(n) : "";
+}
+
+export function ensureMonthlyFeesString(raw) {
+  const t = cleanText(raw);
+  if (!t || t === "N/A" || t === "—") return "N/A";
+
+  if (/\/\s*month/i.test(t) || /\bmonthly\b/i.test(t)) return t;
+
+  if (/\/\s*mois\b/i.test(t) || /\bpar mois\b/i.test(t) || /\bmensuel/i.test(t)) {
+    const n = moneyToNumber(t);
+    if (n != null) return `${formatMoney(n)} / month`;
+    return t;
+  }
+
+  if (
+    /\/\s*year/i.test(t) ||
+    /\byearly\b/i.test(t) ||
+    /\byear\b/i.test(t) ||
+    /\/\s*an(?:née|\b)/i.test(t) ||
+    /\bpar an(?:née|\b)/i.test(t) ||
+    /\bannuel/i.test(t)
+  ) {
+    const n = moneyToNumber(t);
+    if (n != null) return `${formatMoney(Math.round(n / 12))} / month`;
+    return t;
+  }
+
+  const n = moneyToNumber(t);
+  if (n != null && n >= 1200) return `${formatMoney(Math.round(n / 12))} / month`;
+
+  return t;
+}
+
+// Taxes are quoted per year unless the text says otherwise. Returns
+// { annual: "$4,310 / year", monthly: "$359 / month", year } or null.
+export function normalizeTaxAmount(raw, year = null) {
+  const t = cleanText(raw);
+  if (!t || t === "N/A" || t === "—") return null;
+  const n = moneyToNumber(extractMoneyFromText(t) || t);
+  if (!n) return null;
+
+  const isMonthly = /\/\s*month|\bmonthly\b|\/\s*mois\b|\bpar mois\b|\bmensuel/i.test(t);
+  const annual = isMonthly ? n * 12 : n;
+  return {
+    annual: `${formatMoney(annual)} / year`,
+    monthly: `${formatMoney(Math.round(annual / 12))} / month`,
+    year,
+  };
+}
+
+// Square feet: "sqft", "ft²", French "pi²"/"pc", or m² (converted, so every
+// source displays the same unit; numeric.areaM2 keeps the metric figure).
+// Numbers are re-printed in en-CA format.
+const AREA_RE = /(\d[\d\s,.]*)\s*(sq\.?\s*ft|sqft|ft²|ft2|pi²|pi2|pc|m²|m2)(?![a-z])/i;
+const SQFT_PER_M2 = 10.7639;
+
+const formatFt2 = (n, isM2) => `${Math.round(isM2 ? n * SQFT_PER_M2 : n).toLocaleString("en-CA")} ft²`;
+
+export function normalizeAreaToFt2(areaStr) {
+  const t = cleanText(areaStr);
+  if (!t) return null;
+
+  const m = t.match(AREA_RE);
+  if (m) {
+    const n = parseLocaleNumber(m[1]);
+    if (n != null) return formatFt2(n, /^m/i.test(m[2]));
+  }
+
+  return t;
+}
+
+// -------------------- Numeric fields --------------------
+// Typed companions to the display strings so the frontend can sort/compute
+// without re-parsing "$450,000" or "1,200 ft²".
+
+export function areaToNumbers(areaStr) {
+  const t = cleanText(areaStr);
+  const m = t.match(AREA_RE);
+  if (!m) return null;
+  const n = parseLocaleNumber(m[1]);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const isM2 = /^m/i.test(m[2]);
+  const sqft = isM2 ? n * SQFT_PER_M2 : n;
+  const m2 = isM2 ? n : n / SQFT_PER_M2;
+  return { sqft: Math.round(sqft), m2: Math.round(m2 * 10) / 10 };
+}
+
+export function listingNumbers(listing) {
+  const priceCad = isPresent(listing.price) ? moneyToNumber(listing.price) : null;
+  const area = areaToNumbers(listing.area);
+  const condoFeesMonthlyCad = isPresent(listing.condoFees) ? moneyToNumber(listing.condoFees) : null;
+  const municipal = listing.taxes?.municipal ? moneyToNumber(listing.taxes.municipal.annual) : null;
+  const school = listing.taxes?.school ? moneyToNumber(listing.taxes.school.annual) : null;
+  const assessmentCad = isPresent(listing.assessment) ? moneyToNumber(listing.assessment) : null;
+  return {
+    priceCad: priceCad || null,
+    areaSqft: area?.sqft ?? null,
+    areaM2: area?.m2 ?? null,
+    condoFeesMonthlyCad: condoFeesMonthlyCad || null,
+    pricePerSqft: priceCad && area?.sqft ? Math.round(priceCad / area.sqft) : null,
+    municipalTaxesAnnualCad: municipal || null,
+    schoolTaxesAnnualCad: school || null,
+    taxesMonthlyCad: municipal || school ? Math.round(((municipal || 0) + (school || 0)) / 12) : null,
+    assessmentCad: assessmentCad || null,
+  };
+}
+
+export function withNumbers(listing) {
+  return { ...listing, numeric: listingNumbers(listing) };
+}
+
+// Pasted links often lack the scheme ("centris.ca/en/..."); read those as https.
+export function normalizeListingUrl(url) {
+  const s = String(url ?? "").trim();
+  if (!s || /^[a-z][a-z\d+.-]*:\/\//i.test(s)) return s;
+  return s.startsWith("//") ? `https:${s}` : `https://${s}`;
+}
+
+// Id of the first LISTING_SOURCES entry whose matcher accepts the URL.
+export function detectSource(url) {
+  let u;
+  try {
+    u = new URL(normalizeListingUrl(url));
+  } catch {
+    return "unknown";
+  }
+  for (const [id, src] of Object.entries(LISTING_SOURCES)) if (src.matches(u)) return id;
+  return "unknown";
+}
+
+// -------------------- Address validation --------------------
+export function looksLikeRealAddress(s) {
+  const t = cleanText(s);
+  if (!t) return false;
+  if (/[!?]/.test(t)) return false;
+
+  const sentenceDots = (t.match(/\./g) || []).length;
+  if (sentenceDots >= 2) return false;
+
+  if (!/\d/.test(t)) return false;
+
+  const streetWord =
+    /\b(rue|av(?:enue)?|boulevard|boul|chemin|ch|route|rang|place|allee|allée|impasse|cote|côte|street|st|road|rd|avenue|ave|boulevard|blvd|drive|dr|lane|ln|court|ct|way)\b/i;
+
+  if (!streetWord.test(t)) return false;
+
+  const words = t.split(/\s+/).filter(Boolean);
+  if (words.length > 22) return false;
+
+  if (/\b(take a look|discover|invites you|for sale|commission[- ]?free)\b/i.test(t)) return false;
+
+  return true;
+}
+
+export function sanitizeAddressOrBlank(s) {
+  const t = cleanText(s);
+  return looksLikeRealAddress(t) ? t : "";
+}
+
+// -------------------- Address normalization --------------------
+// Splits a Canadian street address into { civic, unit, street, city,
+// borough, postalCode }, or returns null when there is no civic number and
+// street. Handles the Quebec forms listing sites use:
+//   "1234, rue Saint-Denis, app. 5, Montréal (Le Plateau-Mont-Royal)"
+//   "5-1234 rue Saint-Denis"      (Canada Post unit-civic)
+//   "1234-1236 rue Beaubien Est"  (plex civic range: civic 1234, civicTo 1236)
+//   "1234 rue Saint-Denis #5", "Apt 5, 1234 Saint-Denis St, Montreal, QC H2X 3K4"
+const POSTAL_RE = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)\b/i;
+const UNIT_WORDS = "app(?:artement)?|appt|apt|apartment|unit[ée]?|suite|bureau|logement|log|porte";
+const UNIT_SEGMENT_RE = new RegExp(`^(?:(?:${UNIT_WORDS})\\.?\\s*#?|#)\\s*([\\w-]+)$`, "i");
+const UNIT_SUFFIX_RE = new RegExp(`\\s*,?\\s+(?:(?:${UNIT_WORDS})\\.?\\s*#?|#)\\s*([\\w-]+)$|\\s*#\\s*([\\w-]+)$`, "i");
+const CIVIC_RE = /^(\d+[A-Za-z]?)(?:\s*-\s*(\d+[A-Za-z]?))?(?=[\s,]|$)\s*,?\s*/;
+const PROVINCE_RE = /^(?:qc|q\.c\.|qu[ée]bec|canada)$/i;
+const MAX_CIVIC_RANGE = 20;
+
+// "N-M" is a range when both read as civic numbers on the same side of the
+// street a few doors apart; otherwise N is the unit ("5-1234", "302-1234").
+function isCivicRange(from, to) {
+  if (!/^\d+$/.test(from) || !/^\d+$/.test(to) || from.length !== to.length) return false;
+  const gap = Number(to) - Number(from);
+  return gap > 0 && gap <= MAX_CIVIC_RANGE && gap % 2 === 0;
+}
+
+export function parseAddress(s) {
+  let t = cleanText(s);
+  if (!t) return null;
+
+  let postalCode = null;
+  const postal = t.match(POSTAL_RE);
+  if (postal) {
+    postalCode = `${postal[1]} ${postal[2]}`.toUpperCase();
+    t = t.replace(postal[0], " ");
+  }
+
+  let unit = null;
+  let civic = null;
+  let civicTo = null;
+  let street = "";
+  const rest = [];
+  const segments = t
+    .split(",")
+    .map((x) => cleanText(x))
+    .filter(Boolean);
+
+  for (const seg of segments) {
+    const unitSeg = seg.match(UNIT_SEGMENT_RE);
+    if (unitSeg) {
+      unit ||= unitSeg[1];
+      continue;
+    }
+    if (!civic) {
+      const m = seg.match(CIVIC_RE);
+      if (!m) continue; // text before the civic number ("Condo à vendre")
+      if (m[2] && isCivicRange(m[1], m[2])) [civic, civicTo] = [m[1], m[2]];
+      else if (m[2]) [civic, unit] = [m[2], unit || m[1]]; // "5-1234" is unit 5 at civic 1234
+      else civic = m[1];
+      const after = seg.slice(m[0].length);
+      if (after) street = after;
+      continue;
+    }
+    if (!street) {
+      street = seg;
+      continue;
+    }
+    rest.push(seg);
+  }
+
+  const inlineUnit = street.match(UNIT_SUFFIX_RE);
+  if (inlineUnit) {
+    unit ||= inlineUnit[1] || inlineUnit[2];
+    street = cleanText(street.slice(0, inlineUnit.index));
+  }
+  if (!civic || !street || !/[a-z]/i.test(street)) return null;
+
+  // First leftover segment is the city; "Québec" only counts as the
+  // province once a city has been seen.
+  let city = null;
+  let borough = null;
+  for (const seg of rest) {
+    const bare = cleanText(seg.replace(/\bQC\b\.?/i, ""));
+    if (!bare || (city && PROVINCE_RE.test(bare)) || /^(?:qc|canada)$/i.test(bare)) continue;
+    if (city) continue;
+    const m = bare.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+    city = cleanText(m ? m[1] : bare) || null;
+    borough = m ? cleanText(m[2]) : null;
+  }
+
+  return {
+    civic: civic.toUpperCase(),
+    civicTo,
+    unit: unit ? unit.toUpperCase() : null,
+    street,
+    city,
+    borough,
+    postalCode,
+  };
+}
+
+const fold = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+
+// Street-type words are dropped so "rue Beaubien Est" and "Beaubien St E"
+// compare equal; directions and saints are spelled one way.
+const STREET_TYPES = new Set(
+  "rue street avenue av ave boulevard boul blvd bd chemin ch route rte road rd place pl allee impasse cote drive dr lane ln court ct way terrasse croissant crescent cres promenade square montee rang".split(
+    " "
+  )
+);
+const STREET_WORDS = {
+  est: "e", east: "e", ouest: "o", west: "o", w: "o", nord: "n", north: "n", sud: "s", south: "s",
+  saint: "st", sainte: "st", ste: "st",
+};
+const STREET_PARTICLES = new Set(["de", "du", "des", "d", "la", "le", "les", "l", "of", "the"]);
+
+export function streetKey(street) {
+  const words = fold(street)
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+  return words
+    .map((w, i) => {
+      if (w === "st" && i === words.length - 1) return ""; // "Main St" = street
+      if (STREET_TYPES.has(w) || STREET_PARTICLES.has(w)) return "";
+      const ordinal = w.match(/^(\d+)(?:re|ere|e|er|eme|ieme|st|nd|rd|th)$/);
+      return ordinal ? ordinal[1] : STREET_WORDS[w] || w;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+export const cityKey = (city) => fold(city).replace(/[^a-z0-9]+/g, " ").trim();
+
+// "1234|st denis": what two addresses must share to be the same building.
+export function addressKey(parts) {
+  return parts ? `${parts.civic}|${streetKey(parts.street)}` : "";
+}
+
+// Every civic of a range ("1234-1238" -> 1234, 1236, 1238), for matching a
+// plex against a registry that lists its doors one by one (or the reverse).
+export function addressKeys(parts) {
+  if (!parts) return [];
+  if (!parts.civicTo) return [addressKey(parts)];
+  const street = streetKey(parts.street);
+  const keys = [];
+  for (let n = Number(parts.civic); n <= Number(parts.civicTo); n += 2) keys.push(`${n}|${street}`);
+  return keys;
+}
+
+// -------------------- Block detection --------------------
+// Substrings of known bot walls, by block type. Order matters for
+// classifyBlock(): a captcha page usually also says "enable JavaScript".
+const BLOCK_SIGNALS = [
+  ["captcha", ["captcha", "unusual traffic"]],
+  ["access_denied", ["access denied", "you don't have permission to access", "request unsuccessful. incapsula"]],
+  [
+    "js_challenge",
+    ["please enable javascript", "checking if the site connection is secure", "_incapsula_resource", "cf-chl-", "<title>just a moment"],
+  ],
+];
+
+export function looksBlocked(html) {
+  const t = (html || "").toLowerCase();
+  if (!t) return true;
+  return BLOCK_SIGNALS.some(([, needles]) => needles.some((n) => t.includes(n)));
+}
+
+// Names the kind of wall a blocked page is, for diagnostics:
+// captcha | access_denied | js_challenge | empty, or "unknown" when the
+// adapter flagged it for its own reasons (e.g. a login wall).
+export function classifyBlock(html, status = 0) {
+  const t = (html || "").toLowerCase();
+  for (const [type, needles] of BLOCK_SIGNALS) if (needles.some((n) => t.includes(n))) return type;
+  if (status === 401 || status === 403) return "access_denied";
+  if (!cleanText(t.replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>|<[^>]+>/g, " "))) return "empty";
+  return "unknown";
+}
+
+// -------------------- Listing status --------------------
+// "sold" | "delisted" when the response or the page says the listing is off
+// the market, else null (the server tells active, blocked and error apart).
+// Signals, strongest first: HTTP 404/410, a redirect that lost the listing id
+// (sites bounce removed listings to search results), schema.org availability,
+// then status banners. Body text is never searched: descriptions say things
+// like "vendu meublé". Headings only count for the delisted wording: an active
+// page can carry an "<h2>Recently sold nearby</h2>" section.
+const GONE_HTTP_STATUSES = new Set([404, 410]);
+const SOLD_RE = /\b(?:sold|vendue?s?)\b/i;
+const DELISTED_RE =
+  /no longer (?:available|listed|on the market)|(?:has been|was) (?:removed|withdrawn)|listing (?:is )?not found|n'est plus (?:disponible|en vigueur|affichée?)|(?:inscription|annonce|propriété) (?:retirée|expirée|introuvable)|page introuvable/i;
+const HEADING_SPOTS = "title, h1, h2";
+const STATUS_SPOTS = [
+  "[class*='sold' i]",
+  "[class*='status' i]",
+  "[class*='badge' i]",
+  "[class*='banner' i]",
+  "[class*='ribbon' i]",
+  "[class*='alert' i]",
+  "[class*='notice' i]",
+  "[data-cy*='status' i]",
+].join(", ");
+
+// Trailing run of 5+ digits in the path: Centris No., DuProprio/Kijiji/
+// Realtor ids, Marketplace item ids.
+export function listingIdFromUrl(url) {
+  try {
+    return (new URL(normalizeListingUrl(url)).pathname.match(/\d{5,}/g) || []).pop() || null;
+  } catch {
+    return null;
+  }
+}
+
+export function detectListingStatus({ url, finalUrl = "", httpStatus = 0, html = "" }) {
+  if (GONE_HTTP_STATUSES.has(httpStatus)) return "delisted";
+
+  const id = listingIdFromUrl(url);
+  if (id && finalUrl && finalUrl !== url && !finalUrl.includes(id)) return "delisted";
+
+  if (!html) return null;
+  const $ = load(html);
+
+  const ld = $("script[type='application/ld+json']")
+    .toArray()
+    .map((el) => $(el).text())
+    .join("\n");
+  if (/schema\.org\/(?:SoldOut|OutOfStock)/i.test(ld)) return "sold";
+  if (/schema\.org\/Discontinued/i.test(ld)) return "delisted";
+
+  const short = (el) => {
+    const t = cleanText($(el).text());
+    return t && t.length <= 120 ? t : "";
+  };
+  if ($(HEADING_SPOTS).toArray().some((el) => DELISTED_RE.test(short(el)))) return "delisted";
+
+  let status = null;
+  $(STATUS_SPOTS).each((_, el) => {
+    const t = short(el);
+    if (!t) return;
+    if (DELISTED_RE.test(t)) {
+      status = "delisted";
+      return false;
+    }
+    if (SOLD_RE.test(t)) status = "sold";
+  });
+  return status;
+}
+
+// -------------------- Structured data (JSON-LD / microdata / meta) --------------------
+// Primary parsing strategy. Each extractor returns { field: value } in the
+// listing shape; mergeListingFields() layers them over the CSS parsers and
+// records which strategy produced each field in `provenance`.
+const STRUCTURED_FIELDS = [
+  "address",
+  "price",
+  "beds",
+  "baths",
+  "area",
+  "condoFees",
+  "contact",
+  "photos",
+  "yearBuilt",
+  "description",
+];
+
+function countFromValue(v) {
+  const n = Number(String(v ?? "").replace(/[^\d.]/g, ""));
+  return String(v ?? "").trim() && Number.isFinite(n) ? n : null;
+}
+
+function priceFromValue(v) {
+  const n = moneyToNumber(v);
+  return n ? formatMoney(n) : null;
+}
+
+function areaFromQuantity(q) {
+  if (q == null) return null;
+  if (typeof q !== "object") return normalizeAreaToFt2(String(q)) || null;
+  const n = countFromValue(q.value);
+  if (!n) return null;
+  const unit = String(q.unitCode || q.unitText || "").toLowerCase();
+  const isM2 = unit === "mtk" || unit.includes("m2") || unit.includes("m²");
+  return formatFt2(n, isM2);
+}
+
+function yearFromValue(v) {
+  const m = String(v ?? "").match(/\b(1[6-9]\d{2}|20\d{2})\b/);
+  return m ? Number(m[1]) : null;
+}
+
+// http(s) image URLs, deduped, capped so snapshots stay small.
+const MAX_PHOTOS = 40;
+function photoList(values) {
+  const out = [];
+  for (const v of values.flat(2)) {
+    const src = cleanText(typeof v === "object" && v ? v.url || v.contentUrl : v);
+    if (/^https?:\/\//i.test(src) && !out.includes(src)) out.push(src);
+    if (out.length >= MAX_PHOTOS) break;
+  }
+  return out.length ? out : null;
+}
+
+function addressFromValue(v) {
+  if (!v) return null;
+  if (typeof v === "string") return cleanText(v) || null;
+  const parts = [v.streetAddress, v.addressLocality, v.addressRegion, v.postalCode].map(cleanText).filter(Boolean);
+  return parts.length ? parts.join(", ") : null;
+}
+
+function jsonLdNodes($) {
+  const nodes = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    nodes.push(node);
+    for (const k of ["@graph", "mainEntity", "itemOffered", "offers", "containsPlace"]) visit(node[k]);
+  };
+  $("script[type='application/ld+json']").each((_, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch {}
+  });
+  return nodes;
+}
+
+function extractJsonLd($) {
+  const nodes = jsonLdNodes($);
+  const first = (pick) => {
+    for (const n of nodes) {
+      const v = pick(n);
+      if (v != null && v !== "") return v;
+    }
+    return null;
+  };
+  return {
+    price: first((n) => priceFromValue(n.price ?? n.priceSpecification?.price)),
+    beds: first((n) => countFromValue(n.numberOfBedrooms)),
+    baths: first((n) => countFromValue(n.numberOfBathroomsTotal ?? n.numberOfFullBathrooms)),
+    area: first((n) => areaFromQuantity(n.floorSize)),
+    address: first((n) => addressFromValue(n.address)),
+    contact: first((n) => cleanText(n.telephone) || null),
+    photos: photoList(nodes.map((n) => n.image || n.photo || [])),
+    yearBuilt: first((n) => yearFromValue(n.yearBuilt)),
+    description: first((n) => (n["@type"] === "Offer" ? null : cleanText(n.description) || null)),
+  };
+}
+
+function extractMicrodata($) {
+  const prop = (name) => {
+    const el = $(`[itemprop='${name}']`).first();
+    if (!el.length) return "";
+    return cleanText(el.attr("content")) || cleanText(el.text());
+  };
+  const addrEl = $("[itemprop='address']").first();
+  const addrParts = ["streetAddress", "addressLocality", "addressRegion", "postalCode"]
+    .map((k) => cleanText(addrEl.find(`[itemprop='${k}']`).first().text()))
+    .filter(Boolean);
+  const floorEl = $("[itemprop='floorSize']").first();
+  const floor = floorEl.find("[itemprop='value']").length
+    ? {
+        value: cleanText(floorEl.find("[itemprop='value']").attr("content")) || cleanText(floorEl.find("[itemprop='value']").text()),
+        unitCode: cleanText(floorEl.find("[itemprop='unitCode']").attr("content")) || cleanText(floorEl.find("[itemprop='unitText']").text()),
+      }
+    : prop("floorSize") || null;
+
+  return {
+    price: priceFromValue(prop("price")),
+    beds: countFromValue(prop("numberOfBedrooms")),
+    baths: countFromValue(prop("numberOfBathroomsTotal")),
+    area: areaFromQuantity(floor),
+    address: addrParts.length ? addrParts.join(", ") : cleanText(addrEl.text()) || null,
+    contact: prop("telephone") || null,
+    photos: photoList(
+      $("[itemprop='image']")
+        .toArray()
+        .map((el) => $(el).attr("content") || $(el).attr("src") || $(el).attr("href"))
+    ),
+    yearBuilt: yearFromValue(prop("yearBuilt")),
+    description: prop("description") || null,
+  };
+}
+
+function extractMetaTags($) {
+  const meta = (sel) => cleanText($(sel).attr("content"));
+  return {
+    price: priceFromValue(
+      meta("meta[property='product:price:amount']") ||
+        meta("meta[property='og:price:amount']") ||
+        meta("meta[name='twitter:data1']")
+    ),
+    photos: photoList(
+      $("meta[property='og:image'], meta[property='og:image:url']")
+        .toArray()
+        .map((el) => $(el).attr("content"))
+    ),
+  };
+}
+
+export function extractStructuredData($) {
+  return [
+    ["jsonld", extractJsonLd($)],
+    ["microdata", extractMicrodata($)],
+    ["meta", extractMetaTags($)],
+  ];
+}
+
+// First present value wins: structured strategies in order, then the CSS parser.
+// Photos are the exception: og:image is usually just the cover, so every
+// strategy's list is merged and provenance reads e.g. "meta+css".
+function mergeListingFields(css, strategies) {
+  const fields = { ...css };
+  const provenance = {};
+  for (const f of STRUCTURED_FIELDS) {
+    if (f === "photos") {
+      const from = [...strategies, ["css", css]].filter(([, vals]) => vals.photos?.length);
+      fields.photos = photoList(from.map(([, vals]) => vals.photos));
+      provenance.photos = from.length ? from.map(([name]) => name).join("+") : null;
+      continue;
+    }
+    const hit = strategies.find(([, vals]) => isPresent(vals[f]));
+    if (hit) {
+      fields[f] = hit[1][f];
+      provenance[f] = hit[0];
+    } else {
+      provenance[f] = isPresent(css[f]) ? "css" : null;
+    }
+  }
+  return { fields, provenance };
+}
+
+// -------------------- Listing details (label/value rows) --------------------
+// Most listing sites render secondary facts as label/value pairs: dt/dd,
+// table rows, or "...title"/"...label" next to "...value". Labels longer
+// than 60 chars are skipped so whole sections never match.
+function findLabeledValues($, re) {
+  const out = [];
+  for (const el of $("dt, th, td, [class*='label'], [class*='title']").toArray()) {
+    const $el = $(el);
+    const label = cleanText($el.text());
+    if (!label || label.length > 60 || !re.test(label)) continue;
+
+    let value = "";
+    if (el.tagName === "dt") value = $el.next("dd").text();
+    else if (el.tagName === "th" || el.tagName === "td") value = $el.nextAll("td").last().text();
+    else value = $el.siblings("[class*='value']").first().text();
+
+    value = cleanText(value);
+    if (value && value !== label) out.push({ label, value });
+  }
+  return out;
+}
+
+function findLabeledValue($, re) {
+  return findLabeledValues($, re)[0]?.value || "";
+}
+
+function taxFromRows(rows) {
+  const row = rows[0];
+  if (!row) return null;
+  return normalizeTaxAmount(row.value, yearFromValue(row.label));
+}
+
+// Total of the first table whose header mentions the municipal assessment.
+function assessmentFromTables($) {
+  const direct = findLabeledValue($, /^(total (municipal )?assessment|évaluation (municipale|totale))$/i);
+  if (direct) return direct;
+  for (const table of $("table").toArray()) {
+    const head = cleanText($(table).find("thead, tr").first().text());
+    if (!/assessment|évaluation/i.test(head)) continue;
+    for (const tr of $(table).find("tr").toArray()) {
+      const cells = $(tr).find("td, th").toArray();
+      if (cells.length >= 2 && /^total$/i.test(cleanText($(cells[0]).text()))) {
+        return cleanText($(cells[cells.length - 1]).text());
+      }
+    }
+  }
+  return "";
+}
+
+function mlsNumberFromPage($) {
+  const id = cleanText($("#ListingDisplayId, #MLNumberVal, [data-cy='listing-id']").first().text());
+  if (/\d{6,}/.test(id)) return id.match(/\d{6,}/)[0];
+  const labeled = findLabeledValue($, /^(centris no\.?|no centris|mls® (number|no\.?)|mls (number|no\.?)|numéro mls|no mls)/i);
+  if (/\d{6,}/.test(labeled)) return labeled.match(/\d{6,}/)[0];
+  const m = cleanText($("body").text()).match(/(?:Centris|MLS®?)\s*(?:No\.?|Number|#)\s*:?\s*(\d{6,})/i);
+  return m ? m[1] : null;
+}
+
+function galleryPhotos($) {
+  return photoList(
+    $("[class*='gallery'] img, [class*='photo'] img, [class*='carousel'] img")
+      .toArray()
+      .map((el) => $(el).attr("data-src") || $(el).attr("src"))
+  );
+}
+
+// Fields every parser gets for free; parser-specific values override them.
+function commonDetails($) {
+  const parking = findLabeledValue($, /^(parking|stationnement|garage)\b/i);
+  const levels = findLabeledValue(
+    $,
+    /^(number of (levels|floors|storeys)|levels|storeys|nombre d'étages|nombre de niveaux|niveaux)$/i
+  );
+  const description = cleanText(
+    $(".property-description, .listing-description, [data-cy='description'], [data-testid='listing-description']")
+      .first()
+      .text()
+  );
+  const municipal = taxFromRows(findLabeledValues($, /^(municipal( taxes?)?|taxes? municipales?|municipales?)\s*(\(\d{4}\))?$/i));
+  const school = taxFromRows(findLabeledValues($, /^(school( taxes?)?|taxes? scolaires?|scolaires?)\s*(\(\d{4}\))?$/i));
+  const assessment = assessmentFromTables($);
+
+  return {
+    photos: galleryPhotos($),
+    yearBuilt: yearFromValue(findLabeledValue($, /^(year built|year of construction|année de construction|construit en)/i)),
+    parking: parking || null,
+    levels: firstInt(levels),
+    taxes: municipal || school ? { municipal, school } : null,
+    assessment: assessment ? priceFromValue(assessment) : null,
+    description: description || null,
+    mlsNumber: mlsNumberFromPage($),
+  };
+}
+
+// Final listing shape shared by every parser.
+function buildListing(url, source, $, css) {
+  const common = commonDetails($);
+  const pick = (k) => (isPresent(css[k]) ? css[k] : common[k]);
+
+  const { fields, provenance } = mergeListingFields(
+    {
+      address: css.address || "",
+      price: css.price || "N/A",
+      beds: Number.isFinite(css.beds) ? css.beds : null,
+      baths: Number.isFinite(css.baths) ? css.baths : null,
+      area: css.area || null,
+      condoFees: css.condoFees || "N/A",
+      contact: css.contact || "N/A",
+      photos: pick("photos"),
+      yearBuilt: pick("yearBuilt"),
+      description: pick("description"),
+    },
+    extractStructuredData($)
+  );
+
+  return {
+    url,
+    source,
+    address: fields.address,
+    price: fields.price,
+    beds: fields.beds,
+    baths: fields.baths,
+    levels: pick("levels") ?? null,
+    area: fields.area,
+    condoFees: fields.condoFees,
+    contact: fields.contact,
+    photos: fields.photos || [],
+    yearBuilt: fields.yearBuilt ?? null,
+    parking: pick("parking") ?? null,
+    taxes: pick("taxes") ?? null,
+    assessment: pick("assessment") ?? null,
+    description: fields.description ?? null,
+    mlsNumber: pick("mlsNumber") ?? null,
+    provenance,
+  };
+}
+
+// "Bedrooms: 2", "2 bedrooms", "3 chambres", "2 beds", "1.5 baths"...
+// The labelled form wins so "Bedrooms: 3 Bathrooms: 1" doesn't read 3 baths.
+function countFromText(text, words) {
+  const t = cleanText(text);
+  const m =
+    t.match(new RegExp(`(?:${words})\\s*:\\s*(\\d+(?:[.,]5)?)`, "i")) ||
+    t.match(new RegExp(`(\\d+(?:[.,]5)?)\\s*(?:${words})`, "i"));
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+// Leading integer of "2", "2 + 1"...
+function firstInt(text) {
+  const m = cleanText(text).match(/\d+/);
+  return m ? Number(m[0]) : null;
+}
+
+const BED_WORDS = "bedrooms?|beds?|chambres?";
+const BATH_WORDS = "bathrooms?|baths?|salles? de bains?";
+
+// -------------------- Centris parsing (cheerio) --------------------
+export function parseCentrisFromHtml(url, html) {
+  const $ = load(html);
+
+  let price = "N/A";
+  const priceText =
+    cleanText($("[data-cy='buyPrice']").first().text()) ||
+    cleanText($("[data-cy='price']").first().text()) ||
+    cleanText($(".price").first().text());
+  if (priceText) price = normalizePriceString(priceText) || "N/A";
+
+  const teaser = cleanText($(".row.teaser").first().text());
+  let beds = null;
+  let baths = null;
+  if (teaser) {
+    const bedMatch = teaser.match(/(\d+)\s*(?:bedroom|chambre)/i);
+    const bathMatch = teaser.match(/(\d+)\s*(?:bathroom|salles? de bains?)/i);
+    if (bedMatch) beds = Number(bedMatch[1]);
+    if (bathMatch) baths = Number(bathMatch[1]);
+  }
+
+  const getCarac = (...labels) => {
+    const wanted = labels.map((l) => l.toLowerCase());
+    const titles = $(".carac-title").toArray();
+    for (const t of titles) {
+      const tt = cleanText($(t).text()).toLowerCase();
+      if (wanted.includes(tt)) {
+        const val = cleanText($(t).closest(".carac-container, .carac").find(".carac-value").first().text());
+        if (val) return val;
+      }
+    }
+    return "";
+  };
+
+  const rawArea =
+    getCarac("Net area", "Superficie nette") ||
+    getCarac("Living area", "Superficie habitable") ||
+    getCarac("Area", "Superficie");
+  const area = rawArea ? normalizeAreaToFt2(rawArea) : null;
+
+  let condoFees = "N/A";
+  const feeRows = $("table tr").toArray();
+  for (const r of feeRows) {
+    const rowText = cleanText($(r).text()).toLowerCase();
+    if (/condominium fees|frais de copropriété|frais de condo/.test(rowText)) {
+      const tds = $(r).find("td").toArray();
+      if (tds.length) {
+        const last = cleanText($(tds[tds.length - 1]).text());
+        if (last) condoFees = last;
+      }
+    }
+  }
+  condoFees = ensureMonthlyFeesString(condoFees);
+
+  // ✅ screenshot shows h2[itemprop="address"]
+  const address =
+    cleanText($("h2[itemprop='address']").first().text()) ||
+    cleanText($("[itemprop='address']").first().text()) ||
+    cleanText($("[data-cy='address']").first().text()) ||
+    "";
+
+  let contact = "N/A";
+  const agentName =
+    cleanText($("[data-cy='broker-name']").text()) ||
+    cleanText($(".broker-name, .brokerName, .realtor-name").first().text());
+  const phone =
+    cleanText($("[data-cy='broker-phone']").text()) || cleanText($("a[href^='tel:']").first().text());
+  if (agentName || phone) contact = cleanText([agentName, phone].filter(Boolean).join(" - "));
+
+  // Centris No. is also the trailing id in listing URLs.
+  const mlsNumber = mlsNumberFromPage($) || (String(url).match(/\/(\d{7,9})(?:[/?#]|$)/) || [])[1] || null;
+
+  return buildListing(url, "Centris", $, { address, price, beds, baths, area, condoFees, contact, mlsNumber });
+}
+
+// -------------------- DuProprio parsing (cheerio) --------------------
+export function parseDuProprioFromHtml(url, html) {
+  const $ = load(html);
+
+  // Price meta tags are read by extractMetaTags(); this is the text fallback.
+  let price = normalizePriceString($(".listing-price__amount").first().text()) || "N/A";
+
+  if (price === "N/A") {
+    const metaText =
+      cleanText($("meta[property='og:description']").attr("content")) ||
+      cleanText($("meta[property='og:title']").attr("content")) ||
+      "";
+    const p = normalizePriceString(metaText);
+    if (p) price = p;
+  }
+
+  let beds = null;
+  let baths = null;
+  let area = null;
+
+  const items = $(".listing-main-characteristics__item").toArray();
+  for (const el of items) {
+    const $el = $(el);
+    const number = cleanText($el.find(".listing-main-characteristics__number").first().text());
+    const title = cleanText($el.find(".listing-main-characteristics__title").first().text()).toLowerCase();
+    const cls = ($el.attr("class") || "").toLowerCase();
+
+    if (!beds && (title.includes("bedroom") || title.includes("chambre"))) {
+      const n = Number(number.replace(/[^\d.]/g, ""));
+      if (Number.isFinite(n)) beds = n;
+    }
+    if (!baths && (title.includes("bathroom") || title === "bath" || /salles? de bains?/.test(title))) {
+      const n = Number(number.replace(/[^\d.]/g, ""));
+      if (Number.isFinite(n)) baths = n;
+    }
+    if (!area && (cls.includes("item-dimensions") || AREA_RE.test(number))) {
+      area = normalizeAreaToFt2(number);
+    }
+  }
+
+  let condoFees =
+    cleanText($(".listing-fees__amount").first().text()) ||
+    cleanText($(".listing-financial__amount").first().text()) ||
+    "N/A";
+
+  if (condoFees === "N/A") {
+    // Amount plus its period so ensureMonthlyFeesString can convert yearly fees.
+    const body = cleanText($("body").text());
+    const m = body.match(
+      /(?:condo fees|frais de (?:condo|copropriété))[^\d$]{0,60}((?:\$\s*\d[\d\s,.]*|\d[\d\s,.]*\s*\$)(?:\s*\/\s*(?:month|year|mois|année|an)(?![a-z]))?)/i
+    );
+    if (m && m[1]) condoFees = m[1];
+  }
+  condoFees = ensureMonthlyFeesString(condoFees);
+
+  const address =
+    cleanText($(".listing-address").first().text()) ||
+    cleanText($("[class*='listing-address']").first().text()) ||
+    "";
+
+  let contact = "N/A";
+  const tel = cleanText($("a[href^='tel:']").first().text());
+  if (tel) contact = tel;
+
+  return buildListing(url, "DuProprio", $, {
+    address,
+    price,
+    beds,
+    baths,
+    area: area ? normalizeAreaToFt2(area) : null,
+    condoFees,
+    contact,
+  });
+}
+
+// -------------------- Realtor.ca parsing (cheerio) --------------------
+export function parseRealtorFromHtml(url, html) {
+  const $ = load(html);
+  const detail = (id) =>
+    cleanText($(`#propertyDetailsSectionContentSubCon_${id} .propertyDetailsSectionContentValue`).first().text());
+
+  const price = normalizePriceString($("#listingPriceValue, #listingPrice").first().text()) || "N/A";
+  const beds = firstInt($("#BedroomIcon").first().text()) ?? firstInt(detail("Bedrooms"));
+  const baths = firstInt($("#BathroomIcon").first().text()) ?? firstInt(detail("Bathrooms"));
+  const rawArea = detail("SquareFootage") || detail("BuildingSize");
+  const fees = detail("MaintenanceFees");
+  const phone = cleanText($(".realtorCardPhone, a[href^='tel:']").first().text());
+  const agent = cleanText($(".realtorCardName").first().text());
+
+  return buildListing(url, "Realtor.ca", $, {
+    address: cleanText($("#listingAddress").first().text()),
+    price,
+    beds,
+    baths,
+    area: rawArea ? normalizeAreaToFt2(/\d\s*$/.test(rawArea) ? `${rawArea} sqft` : rawArea) : null,
+    condoFees: fees ? ensureMonthlyFeesString(fees) : "N/A",
+    contact: cleanText([agent, phone].filter(Boolean).join(" - ")) || "N/A",
+  });
+}
+
+// -------------------- Kijiji parsing (cheerio) --------------------
+export function parseKijijiFromHtml(url, html) {
+  const $ = load(html);
+  const attrs = cleanText($("[data-testid='attributes'], [class*='attributeList'], [class*='itemAttributeList']").text());
+
+  const price =
+    normalizePriceString($("[data-testid='listing-price'], [class*='priceWrapper']").first().text()) || "N/A";
+  const sqft = attrs.match(/size\s*\((?:sqft|pi²)\)\s*:?\s*([\d\s,.]+)/i);
+
+  return buildListing(url, "Kijiji", $, {
+    address: cleanText($("[data-testid='listing-location'], [class*='address-']").first().text()),
+    price,
+    beds: countFromText(attrs, BED_WORDS),
+    baths: countFromText(attrs, BATH_WORDS),
+    area: sqft ? normalizeAreaToFt2(`${sqft[1]} sqft`) : null,
+    condoFees: "N/A",
+    contact: cleanText($("a[href^='tel:']").first().text()) || "N/A",
+  });
+}
+
+// -------------------- Marketplace-style parsing (OpenGraph) --------------------
+// Classified sites that only expose og:title/og:description, e.g.
+// "CA$1,200 · 2 beds 1 bath Apartment".
+export function parseMarketplaceFromHtml(url, html) {
+  const $ = load(html);
+  const title = cleanText($("meta[property='og:title']").attr("content"));
+  const desc = cleanText($("meta[property='og:description']").attr("content"));
+  const text = `${title} ${desc}`;
+  const area = text.match(AREA_RE);
+
+  return buildListing(url, "Marketplace", $, {
+    address: "",
+    price: normalizePriceString(title) || normalizePriceString(desc) || "N/A",
+    beds: countFromText(text, BED_WORDS),
+    baths: countFromText(text, BATH_WORDS),
+    area: area ? normalizeAreaToFt2(area[0]) : null,
+    condoFees: "N/A",
+    contact: "N/A",
+  });
+}
+
+// -------------------- Source registry --------------------
+// URL matching + HTML parser per listing site. The server layers fetch
+// strategies and block detection on top of these (see registerSource).
+const hostIs = (u, host) => u.hostname === host || u.hostname.endsWith(`.${host}`);
+
+export const LISTING_SOURCES = {
+  centris: { label: "Centris", matches: (u) => hostIs(u, "centris.ca"), parse: parseCentrisFromHtml },
+  duproprio: { label: "DuProprio", matches: (u) => hostIs(u, "duproprio.com"), parse: parseDuProprioFromHtml },
+  realtor: { label: "Realtor.ca", matches: (u) => hostIs(u, "realtor.ca"), parse: parseRealtorFromHtml },
+  kijiji: { label: "Kijiji", matches: (u) => hostIs(u, "kijiji.ca"), parse: parseKijijiFromHtml },
+  marketplace: {
+    label: "Marketplace",
+    matches: (u) => hostIs(u, "facebook.com") && /^\/marketplace\/item\//.test(u.pathname),
+    parse: parseMarketplaceFromHtml,
+  },
+};
@@ -0,0 +1,118 @@
+// scripts/api-keys.js (ESM)
+// Manages API keys in the server's key file (auth.keysFile, default
+// data/api-keys.json). The running server picks changes up on its own.
+//
+// node scripts/api-keys.js create <name> [--per-day N] [--refresh-per-hour N]
+// node scripts/api-keys.js list
+// node scripts/api-keys.js revoke <id>
+// node scripts/api-keys.js quota <id> [--per-day N|default] [--refresh-per-hour N|default]
+// node scripts/api-keys.js token <id> [--ttl-hours N]   (needs auth.tokenSecret)
+
+import path from "node:path";
+import { loadConfig } from "../config.js";
+import { createKeyStore, signToken } from "../apikeys.js";
+
+const USAGE = `Usage:
+  api-keys create <name> [--per-day N] [--refresh-per-hour N]
+  api-keys list
+  api-keys revoke <id>
+  api-keys quota <id> [--per-day N|default] [--refresh-per-hour N|default]
+  api-keys token <id> [--ttl-hours N]`;
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(2);
+}
+
+// --flag value pairs -> { flag: value }; positional args stay in `_`.
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith("--")) out[argv[i].slice(2)] = argv[(i += 1)];
+    else out._.push(argv[i]);
+  }
+  return out;
+}
+
+function quotaArg(value, flag) {
+  if (value === undefined) return undefined;
+  if (value === "default") return null;
+  if (!/^\d+$/.test(String(value))) fail(`--${flag} must be a whole number or "default"`);
+  return Number(value);
+}
+
+function describe(rec) {
+  const q = rec.quotas || {};
+  const quota = (v) => (v == null ? "default" : v);
+  return [
+    rec.id,
+    rec.revokedAt ? "revoked" : "active ",
+    `day=${quota(q.requestsPerDay)}`,
+    `refresh/h=${quota(q.refreshesPerHour)}`,
+    rec.createdAt.slice(0, 10),
+    rec.name,
+  ].join("  ");
+}
+
+function main() {
+  let config;
+  try {
+    config = loadConfig().settings;
+  } catch (e) {
+    fail(e.message);
+  }
+  const file = config.auth.keysFile || path.join(path.resolve(config.data.dir), "api-keys.json");
+  const store = createKeyStore(file);
+
+  const args = parseArgs(process.argv.slice(2));
+  const [cmd, arg] = args._;
+  const perDay = quotaArg(args["per-day"], "per-day");
+  const perHour = quotaArg(args["refresh-per-hour"], "refresh-per-hour");
+
+  switch (cmd) {
+    case "create": {
+      if (!arg) fail(USAGE);
+      const { record, key } = store.create({ name: arg, requestsPerDay: perDay ?? null, refreshesPerHour: perHour ?? null });
+      console.log(describe(record));
+      console.log(`\nKey (shown once, store it now):\n${key}`);
+      break;
+    }
+    case "list": {
+      const keys = store.list();
+      if (!keys.length) console.log(`No keys in ${file}`);
+      for (const rec of keys) console.log(describe(rec));
+      break;
+    }
+    case "revoke": {
+      const rec = arg && store.revoke(arg);
+      if (!rec) fail(`Unknown key id "${arg || ""}"`);
+      console.log(describe(rec));
+      break;
+    }
+    case "quota": {
+      if (perDay === undefined && perHour === undefined) fail(USAGE);
+      const patch = {};
+      if (perDay !== undefined) patch.requestsPerDay = perDay;
+      if (perHour !== undefined) patch.refreshesPerHour = perHour;
+      const rec = arg && store.setQuotas(arg, patch);
+      if (!rec) fail(`Unknown key id "${arg || ""}"`);
+      console.log(describe(rec));
+      break;
+    }
+    case "token": {
+      const rec = arg && store.get(arg);
+      if (!rec || rec.revokedAt) fail(`Unknown or revoked key id "${arg || ""}"`);
+      if (!config.auth.tokenSecret) fail("auth.tokenSecret (AUTH_TOKEN_SECRET) is not set.");
+      const ttlMs = args["ttl-hours"] ? Number(args["ttl-hours"]) * 3600000 : config.auth.tokenTtlMs;
+      if (!(ttlMs > 0)) fail("--ttl-hours must be a positive number");
+      const exp = Math.floor((Date.now() + ttlMs) / 1000);
+      console.log(signToken(rec.id, exp, config.auth.tokenSecret));
+      console.error(`Expires ${new Date(exp * 1000).toISOString()}; pass it as ?token=...`);
+      break;
+    }
+    default:
+      fail(USAGE);
+  }
+}
+
+main();
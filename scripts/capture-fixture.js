@@ -0,0 +1,105 @@
+// scripts/capture-fixture.js (ESM)
+// Saves a live listing page as a new parser fixture:
+//   fixtures/pages/<name>.html  - the raw HTML
+//   fixtures/pages/<name>.json  - a draft spec filled from the current parser
+// Review the draft `expected` block by hand before committing it.
+//
+// node scripts/capture-fixture.js <url> <name> [--browser] [--force]
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  classifyBlock,
+  detectListingStatus,
+  detectSource,
+  looksBlocked,
+  LISTING_SOURCES,
+  withNumbers,
+} from "../parsers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PAGES_DIR = path.join(ROOT, "fixtures", "pages");
+
+const USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+const ACCEPT_LANGUAGE = "en-CA,en;q=0.9,fr-CA;q=0.8,fr;q=0.7";
+
+async function fetchDirect(url) {
+  const res = await fetch(url, {
+    redirect: "follow",
+    headers: {
+      "User-Agent": USER_AGENT,
+      "Accept-Language": ACCEPT_LANGUAGE,
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    },
+  });
+  return { status: res.status, finalUrl: res.url, html: await res.text() };
+}
+
+async function fetchWithBrowser(url) {
+  const { chromium } = await import("playwright");
+  const browser = await chromium.launch({ headless: true, args: ["--disable-blink-features=AutomationControlled"] });
+  try {
+    const context = await browser.newContext({
+      userAgent: USER_AGENT,
+      locale: "en-CA",
+      extraHTTPHeaders: { "Accept-Language": ACCEPT_LANGUAGE },
+    });
+    const page = await context.newPage();
+    const res = await page.goto(url, { waitUntil: "networkidle", timeout: 45000 });
+    return { status: res?.status() ?? 0, finalUrl: page.url(), html: await page.content() };
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter((a) => a.startsWith("--")));
+  const [url, name] = args.filter((a) => !a.startsWith("--"));
+
+  if (!url || !name || !/^[a-z0-9-]+$/.test(name)) {
+    console.error("Usage: node scripts/capture-fixture.js <url> <name: a-z0-9-> [--browser] [--force]");
+    process.exit(2);
+  }
+
+  const src = detectSource(url);
+  if (!LISTING_SOURCES[src]) {
+    console.error(`No parser for ${url}`);
+    process.exit(2);
+  }
+
+  const htmlFile = path.join(PAGES_DIR, `${name}.html`);
+  const specFile = path.join(PAGES_DIR, `${name}.json`);
+  if (!flags.has("--force") && (fs.existsSync(htmlFile) || fs.existsSync(specFile))) {
+    console.error(`Fixture "${name}" already exists (use --force to overwrite).`);
+    process.exit(2);
+  }
+
+  const page = flags.has("--browser") ? await fetchWithBrowser(url) : await fetchDirect(url);
+  const blocked = looksBlocked(page.html);
+
+  const spec = { url, parser: src, blocked };
+  if (blocked) {
+    spec.blockType = classifyBlock(page.html, page.status);
+  } else {
+    spec.status = detectListingStatus({ url, finalUrl: page.finalUrl, httpStatus: page.status, html: page.html }) || "active";
+    if (page.finalUrl !== url) spec.finalUrl = page.finalUrl;
+    if (page.status !== 200) spec.httpStatus = page.status;
+    const { url: _url, ...expected } = withNumbers(LISTING_SOURCES[src].parse(url, page.html));
+    spec.expected = expected;
+  }
+
+  fs.mkdirSync(PAGES_DIR, { recursive: true });
+  fs.writeFileSync(htmlFile, page.html);
+  fs.writeFileSync(specFile, `${JSON.stringify(spec, null, 2)}\n`);
+
+  console.log(`Saved ${path.relative(ROOT, htmlFile)} (${page.html.length} bytes, status ${page.status}, final ${page.finalUrl})`);
+  console.log(`Draft ${path.relative(ROOT, specFile)}${blocked ? " (page looks blocked)" : ""} - review before committing.`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
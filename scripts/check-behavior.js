@@ -0,0 +1,1006 @@
+// scripts/check-behavior.js (ESM)
+// Offline behavior checks for the modules around the parsers, one section
+// per module: jobs, cache, limits, health (readiness and shutdown against a
+// stub browser pool), browsers (against a fake Playwright browser), inbox
+// (against a fake Gmail), notify (against local stub HTTP/SMTP servers),
+// watchlists, buildings, export, apikeys and config.
+// Nothing here touches the network beyond 127.0.0.1.
+//
+// node scripts/check-behavior.js [section-filter]
+
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { Writable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { createHmac } from "node:crypto";
+import { isDeepStrictEqual } from "node:util";
+import { createFileCacheStore, createInflight, createListingCache, createMemoryCacheStore } from "../cache.js";
+import { createHostLimiter, createScrapePool } from "../limits.js";
+import { createOutcomeWindow, createReadiness, createShutdown } from "../health.js";
+import { createBrowserPool } from "../browsers.js";
+import { createInboxIngestor, extractListingLinks } from "../inbox.js";
+import { backoffDelay, createJobQueue } from "../jobs.js";
+import { createBuildingRegistry, summarizeBuilding } from "../buildings.js";
+import { filterExportRows, parseExportOptions, writeExport } from "../export.js";
+import { createKeyStore, createQuotaTracker, parseKey, signToken, verifyToken } from "../apikeys.js";
+import { loadConfig } from "../config.js";
+import { configureLogger } from "../logger.js";
+import { detectSource, parseAddress } from "../parsers.js";
+import { createNotifier, createWebhookTransport, sendMail } from "../notify.js";
+import { applyCheck } from "../watchlists.js";
+
+configureLogger({ level: "error" }); // expected failures log warnings
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const filter = process.argv[2] || "";
+const failures = [];
+let checks = 0;
+
+function check(name, ok, detail) {
+  checks += 1;
+  if (!ok) failures.push(`${name}: ${detail}`);
+}
+
+const same = (name, got, want) =>
+  check(name, isDeepStrictEqual(got, want), `expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+
+async function rejects(name, fn, pattern) {
+  try {
+    await fn();
+    check(name, false, "expected an error");
+  } catch (e) {
+    check(name, pattern.test(String(e?.message || e)), `unexpected error: ${e?.message || e}`);
+  }
+}
+
+// Listens on a free local port; resolves { port, close }.
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ port: server.address().port, close: () => new Promise((r) => server.close(r)) })
+    );
+  });
+}
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "check-behavior-"));
+
+const sections = [];
+const section = (name, fn) => sections.push([name, fn]);
+
+// -------------------- jobs --------------------
+section("jobs", async () => {
+  const opts = { baseMs: 1000, maxMs: 5000 };
+  same("backoff lower bound", backoffDelay(1, { ...opts, random: () => 0 }), 500);
+  same("backoff doubles", backoffDelay(3, { ...opts, random: () => 1 }), 4000);
+  same("backoff capped", backoffDelay(10, { ...opts, random: () => 1 }), 5000);
+
+  // Scripted attempts: each call takes the next listing.
+  const scripted = (...listings) => {
+    const at = [];
+    const attempt = async () => {
+      at.push(Date.now());
+      return { listing: listings[Math.min(at.length, listings.length) - 1] };
+    };
+    return { at, attempt };
+  };
+  const queue = (s, extra = {}) =>
+    createJobQueue({ attempt: s.attempt, backoffBaseMs: 10, backoffMaxMs: 40, random: () => 0, ...extra });
+
+  const retried = scripted({ _blocked: true }, { _error: "timeout" }, { url: "u", status: "active" });
+  const q1 = queue(retried, { maxAttempts: 4 });
+  const done = await q1.settled(q1.create({ url: "u" }).id);
+  same("retries until done", [done.status, done.attempts, done.lastError], ["done", 3, null]);
+  same("nothing pending", q1.pending(), 0);
+
+  const failing = scripted({ _error: "timeout" });
+  const q2 = queue(failing, { maxAttempts: 2 });
+  const failed = await q2.settled(q2.create({ url: "u" }).id);
+  same("gives up after maxAttempts", [failed.status, failed.attempts, failed.lastError], ["failed", 2, "timeout"]);
+
+  const sold = scripted({ status: "sold" });
+  const q3 = queue(sold);
+  same("sold is an answer", (await q3.settled(q3.create({ url: "u" }).id)).status, "done");
+
+  const held = scripted({ _blocked: true }, { status: "active" });
+  const q4 = queue(held, { minRetryDelayMs: () => 60 });
+  await q4.settled(q4.create({ url: "u" }).id);
+  check("host wait beats backoff", held.at[1] - held.at[0] >= 55, `retried after ${held.at[1] - held.at[0]}ms`);
+
+  let stopping = false;
+  const q5 = queue(scripted({ _blocked: true }), { isStopping: () => stopping });
+  stopping = true;
+  same("no retry while stopping", (await q5.settled(q5.create({ url: "u" }).id)).attempts, 1);
+
+  const q6 = queue(scripted({ _blocked: true }), { backoffBaseMs: 60000, backoffMaxMs: 60000 });
+  const waiting = q6.create({ url: "u" });
+  while (waiting.status !== "retrying") await new Promise((r) => setTimeout(r, 5));
+  q6.cancelWaiting("shutdown");
+  const cancelled = await q6.settled(waiting.id);
+  same("cancelled while waiting", [cancelled.status, cancelled.lastError], ["failed", "shutdown"]);
+});
+
+// -------------------- cache --------------------
+section("cache", async () => {
+  const lru = createMemoryCacheStore({ maxEntries: 2 });
+  lru.set("a", { ts: 1 });
+  lru.set("b", { ts: 2 });
+  lru.get("a"); // a is now the most recently used
+  same("evicts least recently used", lru.set("c", { ts: 3 }), ["b"]);
+  same("lru order", lru.entries().map(([k]) => k), ["a", "c"]);
+
+  const dir = tmpDir();
+  try {
+    const file = path.join(dir, "listing-cache.jsonl");
+    const disk = createFileCacheStore({ file, maxEntries: 2 });
+    for (const k of ["a", "b", "c"]) disk.set(k, { ts: 1, data: { url: k } });
+    disk.delete("b");
+    await disk.flush();
+    const reloaded = createFileCacheStore({ file, maxEntries: 2 });
+    same("reload replays sets, evictions and deletes", reloaded.entries(), [["c", { ts: 1, data: { url: "c" } }]]);
+    await reloaded.flush(); // compacts on open: one writer per file at a time
+    const busy = createFileCacheStore({ file, maxEntries: 2 });
+    for (let i = 0; i < 300; i += 1) busy.set(`k${i % 3}`, { ts: i });
+    await busy.flush();
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n").length;
+    check("log is compacted", lines <= 200, `${lines} lines`);
+    const compacted = createFileCacheStore({ file, maxEntries: 2 });
+    same("compacted log reloads", compacted.entries(), busy.entries());
+    await compacted.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  let now = 1_000_000;
+  const store = createMemoryCacheStore({ maxEntries: 10 });
+  const ttlFor = (entry) => (entry.data.status === "sold" ? 10_000 : 1000);
+  const cache = createListingCache({ store, ttlFor, maxStaleMs: 2000, clock: () => now });
+  const url = "https://www.centris.ca/en/x/12345678";
+  cache.set("active", { url, price: "$450,000" });
+  cache.set("sold", { url, price: "N/A", status: "sold" });
+  const fresh = cache.get("active");
+  same("fresh", [fresh.stale, fresh.data.status, fresh.data.numeric.priceCad], [false, "active", 450000]);
+  same("source recorded", store.get("active").src, "centris");
+  now += 1500;
+  same("stale after ttl", cache.get("active")?.stale, true);
+  now += 2000;
+  same("dropped after max stale", [cache.get("active"), store.get("active")], [null, null]);
+  same("off-market ttl", cache.get("sold")?.stale, false);
+  same("miss", cache.get("nope"), null);
+
+  // Concurrent lookups for one key share one scrape.
+  const inflight = createInflight();
+  let scrapes = 0;
+  let finish;
+  const scrape = () => {
+    scrapes += 1;
+    return new Promise((resolve) => (finish = resolve));
+  };
+  const lookup = (key) => inflight.get(key) || inflight.track(key, scrape());
+  const both = Promise.all([lookup("k"), lookup("k")]);
+  same("one scrape for concurrent lookups", [scrapes, inflight.size], [1, 1]);
+  finish("listing");
+  same("both get it", await both, ["listing", "listing"]);
+  await new Promise((r) => setImmediate(r));
+  same("settled scrapes leave", inflight.has("k"), false);
+
+  const failing = inflight.track("f", Promise.reject(new Error("blocked")));
+  await failing.catch(() => {});
+  await new Promise((r) => setImmediate(r));
+  same("failed scrapes leave", inflight.has("f"), false);
+
+  let finishOld;
+  const old = inflight.track("r", new Promise((resolve) => (finishOld = resolve)));
+  const forced = inflight.track("r", new Promise(() => {})); // a forced refresh replaces it
+  finishOld();
+  await old;
+  await new Promise((r) => setImmediate(r));
+  same("older scrape keeps the newer one", inflight.get("r"), forced);
+});
+
+// -------------------- limits --------------------
+section("limits", async () => {
+  let now = Date.UTC(2026, 0, 1);
+  const slept = [];
+  const limiter = createHostLimiter({
+    perMin: 6, // one token per 10s
+    burst: 3,
+    spacingFor: () => 1000,
+    cooldownMs: 30_000,
+    maxCooldownMs: 60_000,
+    maxWaitMs: 20_000,
+    clock: () => now,
+    sleep: async (ms) => {
+      slept.push(ms);
+      now += ms;
+    },
+  });
+  const url = "https://www.centris.ca/en/x/1";
+  const other = "https://centris.ca/en/x/2"; // same host without www.
+
+  same("fresh host", limiter.waitMs(url), 0);
+  await limiter.take(url);
+  same("min spacing", limiter.waitMs(other), 1000);
+  await limiter.take(other);
+  await limiter.take(url);
+  same("spacing is slept, not skipped", slept, [1000, 1000]);
+  // 3 tokens spent over 2s, 0.2 refilled: 0.8 of a token to go.
+  same("refill timing", limiter.waitMs(url), 8000);
+  same("Retry-After", limiter.refreshBudget([url]), { ok: false, retryAfterSec: 8 });
+  same("Retry-After for two", limiter.refreshBudget([url, other]), { ok: false, retryAfterSec: 18 });
+  same("over the burst", limiter.refreshBudget([url, url, url, url]), { ok: false, host: "centris.ca" });
+  const elsewhere = ["https://duproprio.com/a", "https://duproprio.com/b"];
+  same("other hosts unaffected", limiter.refreshBudget(elsewhere), { ok: true });
+  now += 28_000;
+  same("refilled to the burst", [limiter.waitMs(url, 3), limiter.waitMs(url, 4)], [0, Infinity]);
+
+  limiter.noteBlocked(url);
+  same("cooldown", limiter.waitMs(url), 30_000);
+  await rejects("fails fast past maxWaitMs", () => limiter.take(url), /Rate limited on centris\.ca, retry in 30s/);
+  limiter.noteBlocked(url);
+  same("cooldown doubles", limiter.waitMs(url), 60_000);
+  limiter.noteBlocked(url);
+  same("cooldown capped", limiter.waitMs(url), 60_000);
+  limiter.noteOk(url);
+  now += 60_000;
+  limiter.noteBlocked(url);
+  same("ok resets the doubling", limiter.waitMs(url), 30_000);
+
+  // Per-source concurrency: 1 Centris scrape at a time, 2 DuProprio.
+  const pool = createScrapePool({ centris: 1, duproprio: 2 });
+  const active = {};
+  const peak = {};
+  const tick = () => new Promise((r) => setImmediate(r));
+  const scrape = async (id) => {
+    await pool.acquire(id);
+    active[id] = (active[id] || 0) + 1;
+    peak[id] = Math.max(peak[id] || 0, active[id]);
+    await tick();
+    await tick();
+    active[id] -= 1;
+    pool.release(id);
+  };
+  const runs = ["centris", "centris", "centris", "duproprio", "duproprio", "duproprio", "kijiji", "kijiji"].map(scrape);
+  await tick();
+  same("queued behind the cap", pool.stats().centris, { max: 1, active: 1, queued: 2 });
+  await Promise.all(runs);
+  same("peak per source", peak, { centris: 1, duproprio: 2, kijiji: 1 });
+  same("all released", Object.values(pool.stats()).map((g) => g.active + g.queued), [0, 0, 0]);
+});
+
+// -------------------- health --------------------
+section("health", async () => {
+  let now = Date.UTC(2026, 0, 1);
+  const tick = () => new Promise((r) => setImmediate(r));
+  const browser = { connected: true, lastLaunchError: null, launches: 0, closed: 0 };
+  const browserPool = {
+    stats: () => ({
+      connected: browser.connected,
+      pages: { max: 2, active: 0, queued: 0 },
+      lastLaunchError: browser.lastLaunchError,
+    }),
+    ensureBrowser: async () => {
+      browser.launches += 1;
+    },
+    close: async () => {
+      browser.closed += 1;
+    },
+  };
+  const jobs = { pending: 0, cancelled: [] };
+  const jobQueue = { pending: () => jobs.pending, cancelWaiting: (reason) => jobs.cancelled.push(reason) };
+  const scrapeGate = createScrapePool({ centris: 1 });
+  const recentScrapes = createOutcomeWindow(60_000, () => now);
+  let lifecycle = null;
+  const deps = {
+    browserPool,
+    cacheStore: createMemoryCacheStore({ maxEntries: 10 }),
+    cacheKind: "memory",
+    dataDir: ROOT,
+    scrapeGate,
+    jobQueue,
+    recentScrapes,
+    maxPendingJobs: 5,
+    maxQueuedScrapes: 1,
+    maxBlockRatePct: 50,
+    minScrapes: 4,
+    isStopping: () => Boolean(lifecycle?.stopping),
+  };
+  const readiness = createReadiness(deps);
+  const failing = (r = readiness) =>
+    Object.entries(r.report().checks)
+      .filter(([, c]) => !c.ok)
+      .map(([name]) => name);
+
+  same("ready", [readiness.report().ok, failing()], [true, []]);
+  browser.connected = false;
+  browser.lastLaunchError = "Executable doesn't exist";
+  const down = readiness.report();
+  const { ok: browserOk, lastLaunchError } = down.checks.browser;
+  same("browser down", [down.ok, browserOk, lastLaunchError], [false, false, "Executable doesn't exist"]);
+  same("relaunch started by the probe", browser.launches, 1);
+  browser.connected = true;
+  browser.lastLaunchError = null;
+
+  for (const outcome of ["blocked", "blocked", "ok"]) recentScrapes.record("centris", outcome);
+  same("too few scrapes to judge", failing(), []);
+  recentScrapes.record("centris", "blocked");
+  same("block rate", [failing(), readiness.report().checks.blockRate.pct], [["blockRate"], 75]);
+  now += 61_000;
+  same("block window slides", failing(), []);
+
+  await scrapeGate.acquire("centris");
+  const waiting = [scrapeGate.acquire("centris"), scrapeGate.acquire("centris")];
+  same("scrapes queued past the limit", failing(), ["queue"]);
+  scrapeGate.release("centris");
+  await waiting[0];
+  jobs.pending = 5;
+  same("job queue full", failing(), ["queue"]);
+  jobs.pending = 0;
+  scrapeGate.release("centris");
+  await waiting[1];
+  scrapeGate.release("centris");
+  const unwritable = createReadiness({ ...deps, cacheKind: "file", dataDir: path.join(ROOT, "no-such-dir") });
+  same("cache dir not writable", failing(unwritable), ["cache"]);
+
+  // SIGTERM with a request and a scrape in flight: not ready at once, nothing
+  // closed until both finish, then browser close, store flush, exit(0).
+  const get = (port, p) =>
+    new Promise((resolve, reject) => {
+      http
+        .get({ host: "127.0.0.1", port, path: p, agent: false }, (res) => {
+          let body = "";
+          res.on("data", (c) => (body += c));
+          res.on("end", () => resolve(body));
+        })
+        .on("error", reject);
+    });
+  let finishRequest = null;
+  const server = http.createServer((req, res) => {
+    finishRequest = () => res.end("done");
+  });
+  const { port } = await listen(server);
+  const slow = get(port, "/slow");
+  while (!finishRequest) await tick();
+
+  const inflight = createInflight();
+  let finishScrape = null;
+  inflight.track("k", new Promise((r) => (finishScrape = r)));
+  const flushed = [];
+  const exits = [];
+  const stops = { inbox: 0, watch: 0 };
+  let timeUp = null;
+  const base = {
+    jobQueue,
+    browserPool,
+    stopInbox: () => (stops.inbox += 1),
+    watchRunner: { stop: async () => (stops.watch += 1) },
+    exit: (code) => exits.push(code),
+  };
+  lifecycle = createShutdown({
+    ...base,
+    server,
+    timeoutMs: 5000,
+    inflight,
+    stores: ["cache", "history"].map((name) => ({ flush: async () => flushed.push(name) })),
+    sleep: () => new Promise((r) => (timeUp = r)),
+  });
+  const done = lifecycle.shutdown("SIGTERM");
+  await tick();
+  const draining = readiness.report();
+  same("not ready while draining", [draining.ok, draining.shuttingDown, failing()], [false, true, []]);
+  same("inbox and watchlists stopped", stops, { inbox: 1, watch: 1 });
+  same("waiting jobs failed", jobs.cancelled, ["Server shut down before the next attempt."]);
+  await rejects("new connections refused", () => get(port, "/"), /ECONNREFUSED/);
+  finishRequest();
+  same("open request answered", await slow, "done");
+  await tick();
+  same("waits for in-flight scrapes", [browser.closed, flushed, exits], [0, [], []]);
+  finishScrape();
+  await done;
+  same("closed after the drain", [browser.closed, flushed, exits], [1, ["cache", "history"], [0]]);
+  await lifecycle.shutdown("SIGINT");
+  same("second signal forces exit", exits, [0, 1]);
+  timeUp();
+
+  // A hung request and scrape: the timeout drops them and exits anyway.
+  let hungRequest = false;
+  const hung = http.createServer(() => (hungRequest = true));
+  const h = await listen(hung);
+  const stuck = get(h.port, "/").then(
+    () => "answered",
+    (e) => e.code
+  );
+  while (!hungRequest) await tick();
+  const stuckScrapes = createInflight();
+  stuckScrapes.track("k", new Promise(() => {}));
+  exits.length = 0;
+  const timedOut = createShutdown({ ...base, server: hung, timeoutMs: 10, inflight: stuckScrapes, sleep: async () => {} });
+  await timedOut.shutdown("SIGTERM");
+  same("timeout still exits cleanly", [exits, browser.closed], [[0], 2]);
+  same("open connection dropped", await stuck, "ECONNRESET");
+});
+
+// -------------------- browsers --------------------
+section("browsers", async () => {
+  const tick = () => new Promise((r) => setImmediate(r));
+  const until = async (cond) => {
+    for (let i = 0; i < 100 && !cond(); i++) await tick();
+  };
+  // Fake Playwright: contexts record any page opened or used after close().
+  const browsers = [];
+  const made = [];
+  const misuse = [];
+  let creating = null; // while set, newContext waits on it
+  const launch = async () => {
+    const handlers = {};
+    const b = {
+      connected: true,
+      isConnected: () => b.connected,
+      on: (event, fn) => (handlers[event] = fn),
+      close: async () => {
+        b.connected = false;
+      },
+      crash() {
+        b.connected = false;
+        handlers.disconnected?.();
+      },
+    };
+    browsers.push(b);
+    return b;
+  };
+  const newContext = async (b, key) => {
+    const ctx = {
+      name: `${key}${made.length + 1}`,
+      closed: false,
+      newPage: async () => {
+        if (ctx.closed) misuse.push(`newPage on closed ${ctx.name}`);
+        return { ctx, close: async () => {} };
+      },
+      close: async () => {
+        ctx.closed = true;
+      },
+    };
+    made.push(ctx);
+    await creating;
+    return ctx;
+  };
+  const pool = createBrowserPool({ launch, newContext, maxPages: 5, pagesPerContext: 2, blocksPerContext: 2 });
+
+  // Holds a page open until finish(); checks its context is still open then.
+  const hold = (key) => {
+    const lease = { page: null, finish: null };
+    lease.done = pool.withPage(key, async (page) => {
+      lease.page = page;
+      await new Promise((r) => (lease.finish = r));
+      if (page.ctx.closed) misuse.push(`page used after ${page.ctx.name} closed`);
+      return page.ctx.name;
+    });
+    return lease;
+  };
+  const states = () => made.map((c) => `${c.name}:${c.closed ? "closed" : "open"}`);
+
+  // Recycled while its context is still being created.
+  let created = null;
+  creating = new Promise((r) => (created = r));
+  const a = hold("centris");
+  await until(() => made.length === 1);
+  pool.recycle("centris", "session blocked");
+  created();
+  creating = null;
+  await until(() => a.page);
+  same("retired context still serves its lease", [states(), pool.stats().retiring], [["centris1:open"], 1]);
+  a.finish();
+  same("closes once released", [await a.done, states(), pool.stats().retiring], ["centris1", ["centris1:closed"], 0]);
+
+  // Three concurrent pages with 2 per context: the third lease retires the
+  // first context, which stays open until both of its pages are done.
+  const leases = [hold("duproprio"), hold("duproprio"), hold("duproprio")];
+  await until(() => leases.every((l) => l.page));
+  same("page limit counted at lease", leases.map((l) => l.page.ctx.name), ["duproprio2", "duproprio2", "duproprio3"]);
+  leases[0].finish();
+  await leases[0].done;
+  same("retiring until its last lease", states().slice(1), ["duproprio2:open", "duproprio3:open"]);
+  leases[1].finish();
+  leases[2].finish();
+  await Promise.all(leases.map((l) => l.done));
+  same("then closed", states().slice(1), ["duproprio2:closed", "duproprio3:open"]);
+
+  pool.noteResult("duproprio", true);
+  pool.noteResult("duproprio", true);
+  same("repeated blocks recycle", await pool.withPage("duproprio", async (page) => page.ctx.name), "duproprio4");
+  same("blocked context closed", states().slice(2), ["duproprio3:closed", "duproprio4:open"]);
+
+  // A recycle during a page, then shutdown while another page is still open.
+  const b = hold("kijiji");
+  await until(() => b.page);
+  pool.recycle("kijiji", "test");
+  const c = hold("kijiji");
+  await until(() => c.page);
+  const pair = [b.page.ctx.name, c.page.ctx.name, pool.stats().retiring];
+  same("new page gets a fresh context", pair, ["kijiji5", "kijiji6", 1]);
+  b.finish();
+  c.finish();
+  await Promise.all([b.done, c.done]);
+
+  browsers[0].crash();
+  same("disconnect drops contexts", [pool.stats().connected, Object.keys(pool.stats().contexts)], [false, []]);
+  same("relaunch on next use", await pool.withPage("centris", async (page) => page.ctx.name), "centris7");
+  same("launched twice", [browsers.length, pool.stats().launches, pool.stats().disconnects], [2, 2, 1]);
+
+  same("no context used after close", misuse, []);
+
+  // Shutdown closes contexts still retiring too (their pages fail, as the
+  // drain has already given up on them).
+  const d = hold("centris");
+  await until(() => d.page);
+  pool.recycle("centris", "test");
+  await pool.close();
+  same("close reaches retiring contexts", [states().slice(-1), pool.stats().retiring], [["centris7:closed"], 0]);
+  d.finish();
+  await d.done;
+  same("all pages released", pool.stats().pages, { max: 5, active: 0, queued: 0 });
+});
+
+// -------------------- inbox --------------------
+section("inbox", async () => {
+  const isListingUrl = (url) => detectSource(url) !== "unknown";
+  const centris = "https://www.centris.ca/en/condos~for-sale~montreal/12345678";
+  const html = `<table><tr><td>
+      <p>1234, rue Saint-Denis, apt. 5, Montréal</p>
+      <a href="https://click.centris.ca/t?u=${encodeURIComponent(`${centris}?utm_source=alert`)}">View</a>
+    </td></tr></table>`;
+  same("links from html", extractListingLinks({ html }, isListingUrl), [
+    { url: centris, addressHint: "1234, rue Saint-Denis, apt. 5, Montréal" },
+  ]);
+  const text = "New listing\n456 Avenue du Parc, apt. 302, Montréal\nhttps://duproprio.com/en/hab-456-1012345#photos\n";
+  same("links from text", extractListingLinks({ text }, isListingUrl), [
+    { url: "https://duproprio.com/en/hab-456-1012345", addressHint: "456 Avenue du Parc, apt. 302, Montréal" },
+  ]);
+
+  // Fake Gmail: one label, messages served newest first like the real API.
+  const b64 = (s) => Buffer.from(s).toString("base64url");
+  const messages = [
+    { id: "m2", internalDate: "1767312000000", subject: "2 new listings", html },
+    { id: "m1", internalDate: "1767225600000", subject: "Alert", text },
+  ];
+  const gmail = {
+    users: {
+      labels: { list: async () => ({ data: { labels: [{ id: "L1", name: "Listings" }] } }) },
+      messages: {
+        list: async () => ({ data: { messages: messages.map(({ id }) => ({ id })) } }),
+        get: async ({ id }) => {
+          const m = messages.find((x) => x.id === id);
+          const part = m.html
+            ? { mimeType: "text/html", body: { data: b64(m.html) } }
+            : { mimeType: "text/plain", body: { data: b64(m.text) } };
+          const headers = [{ name: "Subject", value: m.subject }];
+          const payload = { headers, mimeType: "multipart/alternative", parts: [part] };
+          return { data: { id, internalDate: m.internalDate, payload } };
+        },
+      },
+    },
+  };
+
+  const dir = tmpDir();
+  const seenFile = path.join(dir, "inbox-seen.json");
+  const queued = [];
+  let full = false; // the job queue refuses new links while set
+  const enqueue = async (url) => {
+    if (full) throw new Error("Job queue is full.");
+    queued.push(url);
+    return { jobId: `j${queued.length}`, result: Promise.resolve({ listing: { url, status: "active" } }) };
+  };
+  const ingest = () => createInboxIngestor({ gmail, label: "listings", seenFile, isListingUrl, enqueue });
+
+  const inbox = ingest();
+  await inbox.pollOnce();
+  same("poll error", inbox.status().lastError, null);
+  same("poll enqueues every link", queued, ["https://duproprio.com/en/hab-456-1012345", centris]);
+  same("latest is the newest message", inbox.latest().id, "m2");
+  await new Promise((r) => setImmediate(r));
+  same("items settle", inbox.listings().map((i) => [i.status, i.jobId]), [["done", "j2"], ["done", "j1"]]);
+
+  await inbox.pollOnce();
+  same("second poll skips seen mail", queued.length, 2);
+  const restarted = ingest();
+  same("latest survives a restart", restarted.latest()?.items.map((i) => i.url), [centris]);
+  await restarted.pollOnce();
+  same("restart skips seen mail", queued.length, 2);
+
+  // A link the queue refuses keeps its message unseen until it is queued.
+  messages.unshift({ id: "m3", internalDate: "1767398400000", subject: "Alert", text: text.replace("1012345", "1019999") });
+  full = true;
+  await restarted.pollOnce();
+  same("refused link", [queued.length, restarted.listings()[0].status], [2, "error"]);
+  same("latest while refused", restarted.latest().id, "m3");
+  const again = ingest();
+  await again.pollOnce();
+  same("retried after restart", again.listings().map((i) => [i.url, i.status]), [
+    ["https://duproprio.com/en/hab-456-1019999", "error"],
+  ]);
+  full = false;
+  const retry = ingest();
+  await retry.pollOnce();
+  same("queued once room frees up", queued.at(-1), "https://duproprio.com/en/hab-456-1019999");
+  await retry.pollOnce();
+  same("then seen", queued.length, 3);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// -------------------- notify --------------------
+section("notify", async () => {
+  const digest = {
+    watchlist: { id: "w1", name: "Plateau" },
+    checkedAt: "2026-01-01T00:00:00.000Z",
+    changes: [
+      {
+        url: "https://www.centris.ca/en/x/12345678",
+        address: "1234 rue Saint-Denis",
+        type: "price",
+        from: "$450,000",
+        to: "$440,000",
+        delta: -10000,
+      },
+    ],
+  };
+
+  // Webhook: JSON body, HMAC signature, non-2xx is an error.
+  const received = [];
+  let status = 200;
+  const web = await listen(
+    http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(status).end();
+      });
+    })
+  );
+  const url = `http://127.0.0.1:${web.port}/hook`;
+  const webhook = createWebhookTransport({ url, secret: "s3cret", timeoutMs: 2000 });
+  await webhook.send(digest);
+  const [hit] = received;
+  same("webhook event", JSON.parse(hit.body).event, "watchlist.changes");
+  same("webhook changes", JSON.parse(hit.body).changes, digest.changes);
+  const signature = `sha256=${createHmac("sha256", "s3cret").update(hit.body).digest("hex")}`;
+  same("webhook signature", hit.headers["x-signature"], signature);
+  status = 500;
+  await rejects("webhook non-2xx", () => webhook.send(digest), /HTTP 500/);
+
+  // Notifier: retries a failing transport, reports per-transport results.
+  let calls = 0;
+  const flaky = { name: "flaky", send: async () => (++calls < 3 ? Promise.reject(new Error("down")) : undefined) };
+  const broken = { name: "broken", send: async () => Promise.reject(new Error("nope")) };
+  const results = await createNotifier([flaky, broken], { attempts: 3, retryDelayMs: 1 }).send(digest);
+  same("notifier results", results, { flaky: "ok", broken: "nope" });
+  same("notifier attempts", calls, 3);
+  await web.close();
+
+  // SMTP: a stub relay that records the session.
+  const sessions = [];
+  const smtp = await listen(
+    net.createServer((socket) => {
+      const session = { lines: [], data: "" };
+      sessions.push(session);
+      let inData = false;
+      let buffer = "";
+      socket.write("220 stub ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        let i;
+        while ((i = buffer.indexOf("\r\n")) !== -1) {
+          const line = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              socket.write("250 queued\r\n");
+            } else session.data += `${line}\n`;
+            continue;
+          }
+          session.lines.push(line);
+          const verb = line.split(" ")[0].toUpperCase();
+          if (verb === "EHLO") socket.write("250-stub\r\n250 AUTH PLAIN\r\n"); // no STARTTLS
+          else if (verb === "AUTH") socket.write("235 ok\r\n");
+          else if (verb === "DATA") {
+            inData = true;
+            socket.write("354 go\r\n");
+          } else if (verb === "QUIT") socket.end("221 bye\r\n");
+          else socket.write("250 ok\r\n");
+        }
+      });
+    })
+  );
+  const mail = { host: "127.0.0.1", port: smtp.port, from: "alerts@example.com", to: ["a@example.com"] };
+
+  await sendMail({ ...mail, startTls: false, subject: "[Plateau] 1 listing change", text: "Price\n.hidden dot\n" });
+  const sent = sessions.at(-1);
+  const envelope = ["MAIL FROM:<alerts@example.com>", "RCPT TO:<a@example.com>"];
+  check("smtp envelope", envelope.every((l) => sent.lines.includes(l)), JSON.stringify(sent.lines));
+  check("smtp subject", sent.data.includes("Subject: [Plateau] 1 listing change"), sent.data);
+  check("smtp dot-stuffing", sent.data.includes("\n..hidden dot\n"), sent.data);
+
+  await rejects(
+    "smtp refuses cleartext auth",
+    () => sendMail({ ...mail, startTls: true, user: "u", pass: "p", subject: "s", text: "t" }),
+    /STARTTLS/
+  );
+  const refused = sessions.at(-1).lines;
+  check("smtp no AUTH without TLS", !refused.some((l) => /^AUTH/i.test(l)), JSON.stringify(refused));
+  await smtp.close();
+});
+
+// -------------------- watchlists --------------------
+section("watchlists", async () => {
+  const ok = (listing) => ({ ok: true, listing: { status: "active", address: "1234 rue Saint-Denis", ...listing } });
+  const t = (n) => `2026-01-0${n}T00:00:00.000Z`;
+
+  const [base, first] = applyCheck(undefined, ok({ price: "$450,000", condoFees: "$350 / month" }), t(1));
+  same("baseline has no changes", first, []);
+  same("baseline state", [base.status, base.available, base.price], ["active", true, "$450,000"]);
+
+  const [dropped, drop] = applyCheck(base, ok({ price: "$440,000", condoFees: "$350 / month" }), t(2));
+  same("price drop", drop, [
+    { address: "1234 rue Saint-Denis", type: "price", from: "$450,000", to: "$440,000", delta: -10000 },
+  ]);
+
+  const [, reformatted] = applyCheck(dropped, ok({ price: "440 000 $", condoFees: "$350 / month" }), t(3));
+  same("formatting-only change ignored", reformatted, []);
+
+  const [failed, none] = applyCheck(dropped, { ok: false, error: "blocked\nstack" }, t(3));
+  same("failed check keeps state", [none, failed.price, failed.lastError], [[], "$440,000", "blocked"]);
+
+  const [sold, soldChanges] = applyCheck(dropped, ok({ status: "sold", price: "N/A" }), t(4));
+  same("sold", soldChanges.map((c) => [c.type, c.from, c.to]), [["sold", "active", "sold"]]);
+  same("sold keeps last price", sold.price, "$440,000");
+
+  const [, back] = applyCheck(sold, ok({ price: "$430,000" }), t(5));
+  same("back on market", back.map((c) => c.type), ["back", "price"]);
+});
+
+// -------------------- buildings --------------------
+section("buildings", async () => {
+  const registry = createBuildingRegistry(path.join(ROOT, "buildings.example.json"));
+  same("match", registry.match(parseAddress("1240, rue St-Denis, apt. 3, Montréal (Le Plateau-Mont-Royal)"))?.id, "B-001");
+  same("no match", registry.match(parseAddress("1236 rue Saint-Denis, Montréal")), null);
+  same("range match", registry.match(parseAddress("1238-1240, rue Saint-Denis, Montréal"))?.id, "B-001");
+  same("range miss", registry.match(parseAddress("1244-1246 rue Saint-Denis, Montréal")), null);
+  same("point center", registry.get("B-002")?.center, { lng: -73.5706, lat: 45.5102 });
+
+  const day = 24 * 3600 * 1000;
+  const t0 = Date.UTC(2026, 5, 1);
+  const listing = (url, status, unit, numeric, extra = {}) => ({
+    listing: { url, status, unit, addressParts: { civic: "1234" }, numeric, price: "N/A", ...extra },
+    ts: t0 + 10 * day,
+  });
+  const entries = [
+    listing("c/1", "active", "5", { priceCad: 400000, pricePerSqft: 500, condoFeesMonthlyCad: 320, areaSqft: 800 }),
+    listing("d/1", "active", "5", { priceCad: 410000, pricePerSqft: 512 }), // same unit, other site
+    listing("c/2", "active", "7", { priceCad: 600000, pricePerSqft: 600, condoFeesMonthlyCad: 450, areaSqft: 1000 }),
+    listing("c/3", "sold", "9", { condoFeesMonthlyCad: 500, areaSqft: 1000 }),
+    listing("c/4", "sold", "11", {}),
+    listing("c/5", "sold", "12", {}, { price: "$700,000" }),
+  ];
+  const history = {
+    "c/3": [
+      { ts: t0, listing: { status: "active", price: "$480,000" } },
+      { ts: t0 + day, listing: { status: "active", price: "$470,000" } },
+      { ts: t0 + 2 * day, listing: { status: "sold", price: "N/A" } },
+    ],
+    "c/4": [{ ts: t0 - 400 * day, listing: { status: "sold", price: "N/A" } }],
+  };
+  const summary = summarizeBuilding(entries, { history: (url) => history[url] || [], soldSince: t0 - 365 * day });
+  same("counts", [summary.listings, summary.activeUnits], [6, 2]);
+  same("price range", summary.priceRange, { min: 400000, max: 600000 });
+  same("median per ft²", summary.medianPricePerSqft, 512);
+  same("fees per ft²", summary.avgCondoFeesPerSqft, 0.45); // (0.4 + 0.45 + 0.5) / 3, sold units included
+  same("recently sold", summary.recentlySold, [
+    { url: "c/5", unit: "12", soldSeenAt: new Date(t0 + 10 * day).toISOString(), lastPrice: "$700,000" }, // no history
+    { url: "c/3", unit: "9", soldSeenAt: new Date(t0 + 2 * day).toISOString(), lastPrice: "$470,000" },
+  ]);
+
+  const even = summarizeBuilding(entries.slice(0, 2));
+  same("even median", [even.medianPricePerSqft, even.activeUnits], [506, 1]);
+  same("empty", summarizeBuilding([]), {
+    listings: 0,
+    activeUnits: 0,
+    priceRange: null,
+    medianPricePerSqft: null,
+    avgCondoFeesPerSqft: null,
+    recentlySold: [],
+  });
+});
+
+// -------------------- export --------------------
+section("export", async () => {
+  const t0 = Date.UTC(2026, 5, 1);
+  const day = 24 * 3600 * 1000;
+  const row = (url, status, buildingId, ts, extra = {}) => ({
+    listing: { url, source: detectSource(url), status, buildingId, address: "N/A", numeric: {}, ...extra },
+    ts,
+    fetchedAt: new Date(ts).toISOString(),
+    from: "cache",
+  });
+  const rows = [
+    row("https://www.centris.ca/en/x/11111111", "active", "B-001", t0),
+    row("https://duproprio.com/en/x-1022222", "sold", "B-002", t0 + day),
+    row("https://www.centris.ca/en/x/33333333", "active", null, t0 + 2 * day),
+    row("https://www.centris.ca/en/x/44444444", "delisted", "B-001", t0 + 3 * day),
+  ];
+  const pick = (query) => {
+    const opts = parseExportOptions(query);
+    return opts.error ? opts.error : [...filterExportRows(rows, opts)].map((r) => r.listing.url.slice(-3));
+  };
+  same("no filters", pick({}), ["111", "222", "333", "444"]);
+  same("since", pick({ since: "2026-06-02" }), ["222", "333", "444"]);
+  same("since/until", pick({ since: "2026-06-02", until: "2026-06-04" }), ["222", "333"]); // until is exclusive
+  same("status list", pick({ status: ["active", "sold"] }), ["111", "222", "333"]);
+  same("status comma list", pick({ status: "sold, delisted" }), ["222", "444"]);
+  same("building", pick({ building: "B-001" }), ["111", "444"]);
+  same("source", pick({ source: "duproprio" }), ["222"]);
+  same("combined", pick({ building: "B-001", status: "active", since: "2026-06-01T00:00:00Z" }), ["111"]);
+  same("bad status", pick({ status: "active,gone" }), 'Unknown status "gone".');
+  same("bad source", pick({ source: "zillow" }), 'Unknown source "zillow".');
+  same("bad since", pick({ since: "last week" }), "since must be a date (e.g. 2026-01-31).");
+  check("bad format", /^format must be one of/.test(pick({ format: "pdf" })), "pdf accepted");
+  same("options", parseExportOptions({ format: "EXCEL", history: "1" }, ["u"]).urls, new Set(["u"]));
+
+  // Collects what writeExport writes, as a response would.
+  const collect = async (list, format, center) => {
+    const chunks = [];
+    const out = new Writable({
+      write(chunk, _enc, cb) {
+        chunks.push(chunk.toString());
+        cb();
+      },
+    });
+    const count = await writeExport(out, list, { format, center });
+    return { count, text: chunks.join("") };
+  };
+  const nasty = row("https://www.centris.ca/en/x/55555555", "active", "B-001", t0, {
+    address: '=HYPERLINK("http://evil.test","1234 rue X")',
+    unit: "+5",
+    mlsNumber: "@SUM(A1)",
+    beds: -1,
+    numeric: { priceCad: 450000 },
+  });
+  const csv = await collect([nasty], "csv");
+  const [head, line, rest] = csv.text.split("\n");
+  same("csv rows", [csv.count, rest], [1, ""]);
+  same("csv header", head.split(",").slice(4, 8), ["status", "buildingId", "unit", "address"]);
+  check("formula quoted", line.includes(`,'+5,"'=HYPERLINK(""http://evil.test"",""1234 rue X"")",`), line);
+  check("at sign", line.includes(",'@SUM(A1),"), line);
+  check("numbers untouched", line.includes(",-1,") && line.includes(",450000,"), line);
+  check("N/A blank", !line.includes("N/A"), line);
+  const excel = await collect([nasty], "excel");
+  const bomCrlf = excel.text.startsWith("\uFEFFfetchedAt,") && excel.text.endsWith("\r\n");
+  check("excel bom and crlf", bomCrlf, JSON.stringify(excel.text.slice(0, 20)));
+
+  const center = (id) => (id === "B-001" ? { lat: 45.5, lng: -73.6 } : null);
+  const geo = JSON.parse((await collect(rows.slice(0, 3), "geojson", center)).text);
+  same("geojson points", geo.features.map((f) => f.geometry?.coordinates || null), [[-73.6, 45.5], null, null]);
+  same("geojson properties", geo.features[1].properties.status, "sold");
+});
+
+// -------------------- apikeys --------------------
+section("apikeys", async () => {
+  const secret = "0123456789abcdef0123";
+  const inAnHour = Math.floor(Date.now() / 1000) + 3600;
+  const token = signToken("a1b2c3d4", inAnHour, secret);
+  same("token round trip", verifyToken(token, secret), { id: "a1b2c3d4", exp: inAnHour });
+  same("expired token", verifyToken(signToken("a1b2c3d4", Math.floor(Date.now() / 1000) - 1, secret), secret), null);
+  same("other secret", verifyToken(token, `${secret}x`), null);
+  same("no secret", verifyToken(token, ""), null);
+  const [id, exp, sig] = token.split(".");
+  same("tampered id", verifyToken(`b1b2c3d4.${exp}.${sig}`, secret), null);
+  same("extended exp", verifyToken(`${id}.${Number(exp) + 86400}.${sig}`, secret), null);
+  same("tampered sig", verifyToken(`${id}.${exp}.${sig.slice(0, -1)}${sig.endsWith("A") ? "B" : "A"}`, secret), null);
+  same("garbage", [verifyToken("", secret), verifyToken("a.b.c", secret), verifyToken(null, secret)], [null, null, null]);
+
+  const dir = tmpDir();
+  try {
+    const store = createKeyStore(path.join(dir, "api-keys.json"));
+    const { record, key } = store.create({ name: "test" });
+    same("parseKey", parseKey(key)?.id, record.id);
+    same("verify key", store.verify(key)?.id, record.id);
+    same("wrong secret", store.verify(key.replace(/.$/, (c) => (c === "A" ? "B" : "A"))), null);
+    const onDisk = fs.readFileSync(path.join(dir, "api-keys.json"), "utf8");
+    check("hash only", !onDisk.includes(parseKey(key).secret), "secret on disk");
+    store.revoke(record.id);
+    same("revoked key", store.verify(key), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  let now = Date.UTC(2026, 0, 31, 23, 30);
+  const quotas = createQuotaTracker({ clock: () => now });
+  const limits = { requestsPerDay: 3, refreshesPerHour: 1 };
+  same("within quota", quotas.take("k", { refreshes: 1 }, limits).ok, true);
+  const hourly = quotas.take("k", { refreshes: 1 }, limits);
+  same("refreshes per hour", [hourly.ok, hourly.reason, hourly.retryAfterSec], [false, "refreshes per hour", 1800]);
+  same("refused charges nothing", quotas.usage("k").requests, 1);
+  quotas.take("k", { requests: 2 }, limits);
+  const daily = quotas.take("k", {}, limits);
+  same("requests per day", [daily.ok, daily.reason, daily.retryAfterSec], [false, "requests per day", 1800]);
+  now += 30 * 60 * 1000; // midnight UTC: both windows roll over
+  same("reset", [quotas.take("k", { refreshes: 1 }, limits).ok, quotas.usage("k")], [
+    true,
+    { day: "2026-02-01", requests: 1, hour: "2026-02-01T00", refreshes: 1, total: 4 },
+  ]);
+  same("per key", quotas.usage("other"), null);
+});
+
+// -------------------- config --------------------
+section("config", async () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "config.json");
+  const load = (env = {}) => loadConfig({ file, env });
+  const problems = (env) => {
+    try {
+      load(env);
+      return null;
+    } catch (e) {
+      return e.code === "CONFIG_INVALID" ? e.problems : [String(e)];
+    }
+  };
+
+  try {
+    const defaults = load();
+    const { settings, origins, file: loadedFile } = defaults;
+    same("defaults", [settings.server.port, origins["server.port"], loadedFile], [3000, "default", null]);
+    const env = load({ PORT: " 8080 ", LOG_LEVEL: "DEBUG", ALLOWED_ORIGINS: "https://a.test, https://b.test" });
+    same("env coerced", [env.settings.server.port, env.settings.log.level], [8080, "debug"]);
+    same("env list", env.settings.server.allowedOrigins, ["https://a.test", "https://b.test"]);
+    same("env origin", env.origins["server.port"], "env PORT");
+    check("frozen", Object.isFrozen(env.settings.server), "settings are mutable");
+
+    // Every bad value is reported at once, not just the first.
+    const bad = problems({ PORT: "80a", LOG_LEVEL: "loud", JOB_BACKOFF_BASE_MS: "60000", JOB_BACKOFF_MAX_MS: "1000" });
+    same("bad env", bad?.map((p) => p.split(":")[0]).sort(), ["jobs.backoffMaxMs", "log.level", "server.port"]);
+    check("names the variable", bad?.some((p) => p.includes("(env PORT)")), JSON.stringify(bad));
+    same("range", problems({ PORT: "70000" }), ["server.port: must be <= 65535, got 70000 (env PORT)"]);
+    same("short secret", problems({ AUTH_TOKEN_SECRET: "short" })?.[0]?.split(":")[0], "auth.tokenSecret");
+
+    fs.writeFileSync(file, JSON.stringify({ server: { port: "3000", portt: 1 } }));
+    same("file types", problems(), [
+      `server.portt: unknown setting in ${file}`,
+      'server.port: expected an integer, got "3000" (config file)',
+    ]);
+    fs.writeFileSync(file, JSON.stringify({ server: { port: 4000 } }));
+    same("env beats file", load({ PORT: "5000" }).settings.server.port, 5000);
+    same("file origin", load().origins["server.port"], "file");
+    fs.writeFileSync(file, "{ port: 1 ");
+    check("bad json", problems()?.[0]?.startsWith(`${file}:`), "JSON error not reported");
+
+    const missing = path.join(dir, "missing.json");
+    let err = null;
+    try {
+      loadConfig({ file: missing, env: { CONFIG_FILE: missing } });
+    } catch (e) {
+      err = e;
+    }
+    same("missing CONFIG_FILE", err?.problems, [`CONFIG_FILE ${missing} does not exist`]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Job and watchlist timers are unref'd; keep the process up while they run.
+const keepAlive = setInterval(() => {}, 1000);
+for (const [name, fn] of sections) {
+  if (filter && !name.includes(filter)) continue;
+  try {
+    await fn();
+  } catch (e) {
+    check(name, false, `threw ${e?.stack || e}`);
+  }
+}
+
+clearInterval(keepAlive);
+
+for (const f of failures) console.error(`FAIL ${f}`);
+console.log(`${checks - failures.length}/${checks} behavior checks passed`);
+process.exit(failures.length ? 1 : 0);
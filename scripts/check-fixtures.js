@@ -0,0 +1,109 @@
+// scripts/check-fixtures.js (ESM)
+// Offline parser regression suite: runs every saved page in fixtures/pages
+// through looksBlocked/classifyBlock, detectListingStatus and the matching
+// parser and compares against the expected JSON next to it. Only the keys listed in `expected` are checked
+// (recursively for nested objects), so new listing fields don't break old
+// fixtures.
+//
+// node scripts/check-fixtures.js [name-filter]
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { isDeepStrictEqual } from "node:util";
+import {
+  classifyBlock,
+  detectListingStatus,
+  detectSource,
+  addressKey,
+  looksBlocked,
+  looksLikeRealAddress,
+  parseAddress,
+  LISTING_SOURCES,
+  withNumbers,
+} from "../parsers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PAGES_DIR = path.join(ROOT, "fixtures", "pages");
+const ADDRESSES_FILE = path.join(ROOT, "fixtures", "addresses.json");
+const ADDRESS_PARTS_FILE = path.join(ROOT, "fixtures", "address-parts.json");
+const SOURCE_URLS_FILE = path.join(ROOT, "fixtures", "source-urls.json");
+
+const filter = process.argv[2] || "";
+const failures = [];
+let checks = 0;
+
+function check(name, ok, detail) {
+  checks += 1;
+  if (!ok) failures.push(`${name}: ${detail}`);
+}
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function compareSubset(name, actual, expected, prefix = "") {
+  for (const [k, want] of Object.entries(expected)) {
+    const got = actual?.[k];
+    if (isPlainObject(want) && isPlainObject(got)) {
+      compareSubset(name, got, want, `${prefix}${k}.`);
+      continue;
+    }
+    check(name, isDeepStrictEqual(got, want), `${prefix}${k} expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+  }
+}
+
+for (const file of fs.readdirSync(PAGES_DIR).filter((f) => f.endsWith(".json")).sort()) {
+  const name = file.replace(/\.json$/, "");
+  if (filter && !name.includes(filter)) continue;
+
+  const spec = JSON.parse(fs.readFileSync(path.join(PAGES_DIR, file), "utf8"));
+  const html = fs.readFileSync(path.join(PAGES_DIR, `${name}.html`), "utf8");
+
+  check(name, looksBlocked(html) === Boolean(spec.blocked), `looksBlocked expected ${Boolean(spec.blocked)}`);
+  if (spec.blockType) {
+    const got = classifyBlock(html);
+    check(name, got === spec.blockType, `classifyBlock expected ${spec.blockType}, got ${got}`);
+  }
+  // "active" = no sold/delisted signal; finalUrl/httpStatus replay the response.
+  if (spec.status) {
+    const got = detectListingStatus({ url: spec.url, finalUrl: spec.finalUrl, httpStatus: spec.httpStatus, html }) || "active";
+    check(name, got === spec.status, `detectListingStatus expected ${spec.status}, got ${got}`);
+  }
+  if (spec.blocked || !spec.expected) continue;
+
+  const parse = LISTING_SOURCES[spec.parser]?.parse;
+  if (!parse) {
+    check(name, false, `unknown parser "${spec.parser}"`);
+    continue;
+  }
+  compareSubset(name, withNumbers(parse(spec.url, html)), spec.expected);
+}
+
+if (!filter || "addresses".includes(filter)) {
+  for (const { input, expected } of JSON.parse(fs.readFileSync(ADDRESSES_FILE, "utf8"))) {
+    check("addresses", looksLikeRealAddress(input) === expected, `looksLikeRealAddress(${JSON.stringify(input)}) expected ${expected}`);
+  }
+}
+
+// detectSource on pasted links, including ones without a scheme.
+if (!filter || "source-urls".includes(filter)) {
+  for (const { input, expected } of JSON.parse(fs.readFileSync(SOURCE_URLS_FILE, "utf8"))) {
+    const got = detectSource(input);
+    check("source-urls", got === expected, `detectSource(${JSON.stringify(input)}) expected ${expected}, got ${got}`);
+  }
+}
+
+// parseAddress: expected is a subset of the parts (or null); key is the
+// civic|street matching key that buildings are indexed under.
+if (!filter || "address-parts".includes(filter)) {
+  for (const { input, expected, key } of JSON.parse(fs.readFileSync(ADDRESS_PARTS_FILE, "utf8"))) {
+    const got = parseAddress(input);
+    const name = `address-parts ${JSON.stringify(input)}`;
+    if (expected === null) check(name, got === null, `expected null, got ${JSON.stringify(got)}`);
+    else compareSubset(name, got, expected);
+    if (key) check(name, addressKey(got) === key, `addressKey expected ${JSON.stringify(key)}, got ${JSON.stringify(addressKey(got))}`);
+  }
+}
+
+for (const f of failures) console.error(`FAIL ${f}`);
+console.log(`${checks - failures.length}/${checks} fixture checks passed`);
+process.exit(failures.length ? 1 : 0);
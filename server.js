@@ -2,23 +2,120 @@
 // npm i express cheerio compression playwright
 // npx playwright install chromium
 
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { randomUUID, timingSafeEqual } from "node:crypto";
 import express from "express";
 import compression from "compression";
 import { chromium } from "playwright";
-import { load } from "cheerio";
+import {
+  cleanText,
+  isPresent,
+  moneyToNumber,
+  withNumbers,
+  detectSource,
+  normalizeListingUrl,
+  sanitizeAddressOrBlank,
+  looksBlocked,
+  classifyBlock,
+  detectListingStatus,
+  parseAddress,
+  addressKey,
+  LISTING_SOURCES,
+} from "./parsers.js";
+import { createGmailClient, createInboxIngestor } from "./inbox.js";
+import { loadConfig, publicConfig } from "./config.js";
+import { createKeyStore, createQuotaTracker, signToken, verifyToken } from "./apikeys.js";
+import { configureLogger, log, withLogContext } from "./logger.js";
+import { createRegistry } from "./metrics.js";
+import { createWatchlistStore, createWatchlistRunner } from "./watchlists.js";
+import { createEmailTransport, createNotifier, createWebhookTransport } from "./notify.js";
+import { createBuildingRegistry, summarizeBuilding } from "./buildings.js";
+import { EXPORT_FORMATS, filterExportRows, parseExportOptions, writeExport } from "./export.js";
+import { createJobQueue, JOB_STATUSES } from "./jobs.js";
+import { createHostLimiter, createScrapePool } from "./limits.js";
+import { createBrowserPool } from "./browsers.js";
+import { createOutcomeWindow, createReadiness, createShutdown } from "./health.js";
+import { createCacheStore, createInflight, createJsonLinesWriter, createListingCache, readJsonLines } from "./cache.js";
+
+// -------------------- Config --------------------
+// config.js: defaults < config.json < env. Invalid values stop startup here.
+let loadedConfig;
+try {
+  loadedConfig = loadConfig();
+} catch (e) {
+  log.error("invalid configuration", { problems: e.problems || [e.message] });
+  process.exit(1);
+}
+const config = loadedConfig.settings;
+configureLogger(config.log);
+
+// -------------------- Metrics --------------------
+// Prometheus series, served on GET /metrics. Gauges are registered next to
+// that route since they read live state (scrapeGate, browser pool, jobs).
+const metrics = createRegistry();
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by route and status.", ["method", "route", "status"]);
+const scrapeDuration = metrics.histogram(
+  "scrape_duration_seconds",
+  "Scrape latency by source and the path that produced the result (direct fetch or browser).",
+  ["source", "path"],
+  [0.25, 0.5, 1, 2, 5, 10, 20, 30, 45, 60]
+);
+const scrapesTotal = metrics.counter("scrapes_total", "Finished scrapes by outcome (ok, sold, delisted, blocked, error).", ["source", "outcome"]);
+const scrapeBlocks = metrics.counter("scrape_blocks_total", "Blocked scrapes by block type.", ["source", "block_type"]);
+const cacheLookups = metrics.counter("listing_cache_lookups_total", "Listing cache lookups (hit, stale, miss, refresh).", ["source", "result"]);
+const inflightHits = metrics.counter("inflight_dedupe_hits_total", "Requests that joined a scrape already in flight.", ["source"]);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 app.use(compression());
 
+// -------------------- Request id + log --------------------
+// Every request gets an id (a sane incoming X-Request-Id is kept), echoed in
+// the response and attached to every log line written while serving it. One
+// "request" line is logged per request with the API key id (set by
+// requireApiKey); the query string is left out since it may carry a token.
+app.use((req, res, next) => {
+  const incoming = String(req.headers["x-request-id"] || "");
+  req.id = /^[\w.:-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+
+  const t0 = Date.now();
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    log.info("request", {
+      reqId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      ms: Date.now() - t0,
+      key: req.apiKey?.id || null,
+      ...(req.apiKey ? { keyVia: req.apiKeyVia } : {}),
+    });
+  });
+  withLogContext({ reqId: req.id }, next);
+});
+
+// Body parsing resumes in the socket's async context; this puts the
+// request's log context back for the handler.
+const jsonBody = [express.json({ limit: "256kb" }), (req, res, next) => withLogContext({ reqId: req.id }, next)];
+
+// Once shutdown starts (lifecycle, below), requests already being served run
+// to completion; new API calls on kept-alive connections are turned away so
+// the drain ends.
+app.use((req, res, next) => {
+  if (!lifecycle.stopping) return next();
+  res.setHeader("Connection", "close");
+  if (!req.path.startsWith("/api/")) return next();
+  res.setHeader("Retry-After", "5");
+  res.status(503).json({ ok: false, error: "Server is shutting down." });
+});
+
 // -------------------- CORS --------------------
-const ALLOWED_ORIGINS = new Set([
-  "https://joeymakesweb.com",
-  "https://www.joeymakesweb.com",
-  "http://localhost:3000",
-  "http://127.0.0.1:3000",
-]);
+const ALLOWED_ORIGINS = new Set(config.server.allowedOrigins);
 
 app.use((req, res, next) => {
   const origin = req.headers.origin;
@@ -26,8 +123,8 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
     res.setHeader("Vary", "Origin");
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Api-Key, Authorization");
   next();
 });
 
@@ -37,146 +134,188 @@ app.options("*", (req, res) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
     res.setHeader("Vary", "Origin");
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Api-Key, Authorization");
   res.sendStatus(204);
 });
 
-// -------------------- Cache + in-flight dedupe --------------------
-const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
-const cache = new Map(); // key -> { ts, data }
-const inflight = new Map(); // key -> Promise
+// -------------------- Data dir --------------------
+const DATA_DIR = path.resolve(config.data.dir);
 
-function makeCacheKey(url, addressHint) {
-  return `${url}::hint=${(addressHint || "").trim()}`;
-}
-function getCached(key) {
-  const hit = cache.get(key);
-  if (!hit) return null;
-  if (Date.now() - hit.ts > CACHE_TTL_MS) {
-    cache.delete(key);
-    return null;
-  }
-  return hit.data;
-}
-function setCached(key, data) {
-  cache.set(key, { ts: Date.now(), data });
-}
+// -------------------- Cache stores --------------------
+// cache.js: memory, or a JSON-lines log in DATA_DIR replayed on startup.
+const CACHE_STORE = config.cache.store; // file | memory
+const CACHE_MAX_ENTRIES = config.cache.maxEntries;
 
-// -------------------- Helpers --------------------
-function cleanText(s) {
-  return (s || "").replace(/\s+/g, " ").trim();
-}
-
-function moneyToNumber(s) {
-  const n = Number(String(s || "").replace(/[^0-9.]/g, ""));
-  return Number.isFinite(n) ? n : null;
-}
+// -------------------- Cache + in-flight dedupe --------------------
+const CACHE_TTL_MS = config.cache.ttlMs; // 6 hours by default
+const CACHE_TTL_MS_BY_SOURCE = Object.fromEntries(
+  Object.entries(LISTING_SOURCES).map(([id]) => [id, config.sources[id].cacheTtlMs ?? CACHE_TTL_MS])
+);
+const CACHE_MAX_STALE_MS = config.cache.maxStaleMs; // 7 days by default
+const CACHE_TTL_OFF_MARKET_MS = config.cache.offMarketTtlMs;
+const OFF_MARKET_STATUSES = new Set(["sold", "delisted"]);
+const cacheStore = createCacheStore(CACHE_STORE, {
+  file: path.join(DATA_DIR, "listing-cache.jsonl"),
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+const inflight = createInflight();
 
-function formatMoney(n) {
-  if (!Number.isFinite(n)) return "N/A";
-  return n.toLocaleString("en-CA", {
-    style: "currency",
-    currency: "CAD",
-    maximumFractionDigits: 0,
-  });
+// Off-market listings keep much longer than the per-source TTL.
+function cacheTtlFor(entry) {
+  if (OFF_MARKET_STATUSES.has(entry.data?.status)) return CACHE_TTL_OFF_MARKET_MS;
+  return CACHE_TTL_MS_BY_SOURCE[entry.src] ?? CACHE_TTL_MS;
 }
 
-function extractMoneyFromText(s) {
-  const t = cleanText(s);
-  const m = t.match(/\$\s*[\d\s,]{3,}/);
-  return m ? cleanText(m[0]) : "";
+function makeCacheKey(url, addressHint) {
+  return `${url}::hint=${(addressHint || "").trim()}`;
 }
+const hintFromCacheKey = (key) => key.slice(key.indexOf("::hint=") + "::hint=".length);
 
-function ensureMonthlyFeesString(raw) {
-  const t = cleanText(raw);
-  if (!t || t === "N/A" || t === "—") return "N/A";
+// Past its TTL an entry is still served (stale) while a background refresh
+// runs; past the max-stale window it is dropped.
+const listingCache = createListingCache({ store: cacheStore, ttlFor: cacheTtlFor, maxStaleMs: CACHE_MAX_STALE_MS });
 
-  if (/\/\s*month/i.test(t) || /\bmonthly\b/i.test(t)) return t;
+// -------------------- Listing history --------------------
+// Every good scrape is appended as { url, ts, listing } to
+// listing-history.jsonl; snapshots are grouped by URL (hint-independent).
+const HISTORY_STORE = config.history.store; // file | memory
+const HISTORY_MAX_PER_URL = config.history.maxPerUrl;
 
-  if (/\/\s*year/i.test(t) || /\byearly\b/i.test(t) || /\byear\b/i.test(t)) {
-    const n = moneyToNumber(t);
-    if (n != null) return `${formatMoney(Math.round(n / 12))} / month`;
-    return t;
+function createHistoryStore(kind) {
+  if (kind !== "file" && kind !== "memory") {
+    throw new Error(`Unknown HISTORY_STORE "${kind}" (expected file or memory)`);
   }
+  const byUrl = new Map(); // url -> [{ ts, listing }]
+  const writer = kind === "file" ? createJsonLinesWriter(path.join(DATA_DIR, "listing-history.jsonl"), "history") : null;
+
+  const push = (url, snap) => {
+    const list = byUrl.get(url) || [];
+    list.push(snap);
+    const trimmed = list.length > HISTORY_MAX_PER_URL;
+    if (trimmed) list.splice(0, list.length - HISTORY_MAX_PER_URL);
+    byUrl.set(url, list);
+    return trimmed;
+  };
 
-  const n = moneyToNumber(t);
-  if (n != null && n >= 1200) return `${formatMoney(Math.round(n / 12))} / month`;
+  if (writer) {
+    const recs = readJsonLines(path.join(DATA_DIR, "listing-history.jsonl"));
+    let trimmed = false;
+    for (const rec of recs) if (rec.url && rec.listing) trimmed = push(rec.url, { ts: rec.ts, listing: rec.listing }) || trimmed;
+    if (trimmed) {
+      writer.rewrite([...byUrl].flatMap(([url, list]) => list.map((snap) => ({ url, ...snap }))));
+    }
+  }
 
-  return t;
+  return {
+    append(url, listing) {
+      const snap = { ts: Date.now(), listing };
+      push(url, snap);
+      writer?.append({ url, ...snap });
+      return snap;
+    },
+    list(url) {
+      return byUrl.get(url) || [];
+    },
+    urls() {
+      return [...byUrl.keys()];
+    },
+    flush: () => writer?.flush(),
+  };
 }
 
-function normalizeAreaToFt2(areaStr) {
-  const t = cleanText(areaStr);
-  if (!t) return null;
-
-  const mSqft = t.match(/([\d,]+)\s*sqft/i);
-  if (mSqft) return `${mSqft[1]} ft²`;
-
-  const mFt2 = t.match(/([\d,]+)\s*ft²/i);
-  if (mFt2) return `${mFt2[1]} ft²`;
-
-  if (/ft²/i.test(t) || /m²/i.test(t)) return t;
-  return t;
+const historyStore = createHistoryStore(HISTORY_STORE);
+
+// Strip transport/debug fields (`_diag`, `_blocked`...) before snapshotting.
+// Snapshots keep the address the page showed; the caller's hint rides along
+// as addressHint (for building matching) so different hints don't read as
+// address changes. A scrape that changed nothing is not appended: each
+// snapshot's ts is when that state was first seen. Returns what moved since
+// the previous snapshot (null for the first one or when nothing did).
+function recordSnapshot(listing, scrapedAddress, addressHint) {
+  const clean = Object.fromEntries(Object.entries(listing).filter(([k]) => !k.startsWith("_")));
+  const snap = { ...clean, address: scrapedAddress || "N/A", addressHint: cleanText(addressHint) || null };
+  const last = historyStore.list(listing.url).at(-1);
+  const diff = last ? diffListings(last.listing, snap) : null;
+  if (diff && !hasChanges(diff)) return null;
+  const appended = historyStore.append(listing.url, snap);
+  return diff ? { since: new Date(last.ts).toISOString(), at: new Date(appended.ts).toISOString(), ...diff } : null;
 }
 
-function detectSource(url) {
-  const u = String(url || "").toLowerCase();
-  if (u.includes("centris.ca")) return "centris";
-  if (u.includes("duproprio.com")) return "duproprio";
-  return "unknown";
+function numericDelta(prev, next) {
+  const a = moneyToNumber(prev);
+  const b = moneyToNumber(next);
+  if (!isPresent(prev) || !isPresent(next) || a == null || b == null) return null;
+  return b - a;
 }
 
-// -------------------- Address validation --------------------
-function looksLikeRealAddress(s) {
-  const t = cleanText(s);
-  if (!t) return false;
-  if (/[!?]/.test(t)) return false;
-
-  const sentenceDots = (t.match(/\./g) || []).length;
-  if (sentenceDots >= 2) return false;
-
-  if (!/\d/.test(t)) return false;
-
-  const streetWord =
-    /\b(rue|av(?:enue)?|boulevard|boul|chemin|ch|route|rang|place|allee|allée|impasse|cote|côte|street|st|road|rd|avenue|ave|boulevard|blvd|drive|dr|lane|ln|court|ct|way)\b/i;
-
-  if (!streetWord.test(t)) return false;
-
-  const words = t.split(/\s+/).filter(Boolean);
-  if (words.length > 22) return false;
-
-  if (/\b(take a look|discover|invites you|for sale|commission[- ]?free)\b/i.test(t)) return false;
+// Field-level diff between two listing snapshots. Deltas are null unless both
+// sides carry a number.
+function diffListings(prev, next) {
+  const changed = [];
+  const appeared = [];
+  const disappeared = [];
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  keys.delete("url");
+  keys.delete("source");
+  keys.delete("numeric"); // derived from the string fields
+  keys.delete("provenance");
+  keys.delete("photos"); // CDN URLs churn between scrapes
+  keys.delete("addressHint"); // the caller's, not the listing's
+
+  for (const k of keys) {
+    // Snapshots taken before listings had a status were all active.
+    const a = k === "status" ? prev?.[k] ?? "active" : prev?.[k];
+    const b = k === "status" ? next?.[k] ?? "active" : next?.[k];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    if (!isPresent(a) && isPresent(b)) appeared.push(k);
+    else if (isPresent(a) && !isPresent(b)) disappeared.push(k);
+    else if (isPresent(a) || isPresent(b)) changed.push({ field: k, from: a, to: b });
+  }
 
-  return true;
+  return {
+    priceDelta: numericDelta(prev?.price, next?.price),
+    condoFeesDelta: numericDelta(prev?.condoFees, next?.condoFees),
+    changed,
+    appeared,
+    disappeared,
+  };
 }
 
-function sanitizeAddressOrBlank(s) {
-  const t = cleanText(s);
-  return looksLikeRealAddress(t) ? t : "";
+function hasChanges(diff) {
+  return diff.changed.length > 0 || diff.appeared.length > 0 || diff.disappeared.length > 0;
 }
 
-// -------------------- Semaphore --------------------
-function createSemaphore(max = 1) {
-  let active = 0;
-  const queue = [];
-  return {
-    async acquire() {
-      if (active < max) {
-        active += 1;
-        return;
-      }
-      await new Promise((resolve) => queue.push(resolve));
-      active += 1;
-    },
-    release() {
-      active = Math.max(0, active - 1);
-      const next = queue.shift();
-      if (next) next();
-    },
-  };
-}
-const scrapeGate = createSemaphore(1);
+// -------------------- Scrape worker pool --------------------
+// limits.js: one semaphore per source, so a slow Centris session doesn't
+// hold up DuProprio/Kijiji scrapes. Limits come from sources.<id>.concurrency.
+const SCRAPE_CONCURRENCY = Object.fromEntries(
+  Object.entries(LISTING_SOURCES).map(([id]) => [id, config.sources[id].concurrency])
+);
+const scrapeGate = createScrapePool(SCRAPE_CONCURRENCY);
+
+// -------------------- Host rate limiting --------------------
+// limits.js token bucket per host in front of every outbound fetch, direct or
+// Playwright: rateLimit.perMin sustained, rateLimit.burst back-to-back, and
+// at least the source's minSpacingMs between two hits on one host. A
+// blocked scrape puts the host in cooldown, doubling per consecutive block.
+const RATE_LIMIT_PER_MIN = config.rateLimit.perMin;
+const RATE_LIMIT_BURST = config.rateLimit.burst;
+const RATE_MIN_SPACING_MS = config.rateLimit.minSpacingMs;
+const RATE_BLOCK_COOLDOWN_MS = config.rateLimit.blockCooldownMs;
+const RATE_MAX_COOLDOWN_MS = config.rateLimit.maxCooldownMs;
+const RATE_MAX_WAIT_MS = config.rateLimit.maxWaitMs; // longer waits fail fast instead of holding a scrape slot
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const hostLimiter = createHostLimiter({
+  perMin: RATE_LIMIT_PER_MIN,
+  burst: RATE_LIMIT_BURST,
+  spacingFor: (url) => getSourceAdapter(url)?.minSpacingMs ?? RATE_MIN_SPACING_MS,
+  cooldownMs: RATE_BLOCK_COOLDOWN_MS,
+  maxCooldownMs: RATE_MAX_COOLDOWN_MS,
+  maxWaitMs: RATE_MAX_WAIT_MS,
+});
 
 // -------------------- Hard timeout --------------------
 async function withHardTimeout(promise, ms, label) {
@@ -191,18 +330,9 @@ async function withHardTimeout(promise, ms, label) {
   }
 }
 
-function looksBlocked(html) {
-  const t = (html || "").toLowerCase();
-  if (!t) return true;
-  if (t.includes("captcha")) return true;
-  if (t.includes("access denied")) return true;
-  if (t.includes("please enable javascript")) return true;
-  if (t.includes("unusual traffic")) return true;
-  return false;
-}
-
 // -------------------- Direct HTTP fetch (fast path) --------------------
-async function fetchHtmlDirect(url, timeoutMs = 6500) {
+async function fetchHtmlDirect(url, timeoutMs = 6500, { referer, cookie } = {}) {
+  await hostLimiter.take(url);
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
 
@@ -212,25 +342,26 @@ async function fetchHtmlDirect(url, timeoutMs = 6500) {
       signal: controller.signal,
       redirect: "follow",
       headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-        "Accept-Language": "en-CA,en;q=0.9,fr-CA;q=0.8,fr;q=0.7",
+        "User-Agent": config.scrape.userAgent,
+        "Accept-Language": config.scrape.acceptLanguage,
         Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
         "Cache-Control": "no-cache",
         Pragma: "no-cache",
-        Referer: "https://www.centris.ca/",
+        Referer: referer || `${new URL(url).origin}/`,
+        ...(cookie ? { Cookie: cookie } : {}),
       },
     });
 
-    if (!res.ok) return { ok: false, status: res.status, html: "" };
+    const meta = { status: res.status, headers: Object.fromEntries(res.headers), finalUrl: res.url };
+    if (!res.ok) return { ok: false, ...meta, html: await res.text().catch(() => "") };
 
     const html = await res.text();
 
-    if (!html || html.length < 1200) return { ok: false, status: res.status, html };
+    if (!html || html.length < 1200) return { ok: false, ...meta, html };
     const looksHtml = html.toLowerCase().includes("<html") || html.toLowerCase().includes("<!doctype html");
-    if (!looksHtml) return { ok: false, status: res.status, html };
+    if (!looksHtml) return { ok: false, ...meta, html };
 
-    return { ok: true, status: res.status, html };
+    return { ok: true, ...meta, html };
   } catch (e) {
     return { ok: false, status: 0, html: "", error: String(e?.message || e) };
   } finally {
@@ -238,43 +369,116 @@ async function fetchHtmlDirect(url, timeoutMs = 6500) {
   }
 }
 
-// -------------------- Playwright global reuse --------------------
-let browser;
-let context;
+// -------------------- Centris session --------------------
+// The warmed-up Centris session (Playwright storage state) is kept on disk so
+// scrapes, restarts and the direct fetch path can reuse its cookies instead
+// of visiting the homepage every time. It is dropped when it gets older than
+// centrisSession.maxAgeMs, when its cookies expire, or on a block.
+const CENTRIS_SESSION_FILE = config.centrisSession.file || path.join(DATA_DIR, "centris-session.json");
+const CENTRIS_SESSION_MAX_AGE_MS = config.centrisSession.maxAgeMs;
 
-async function ensureBrowser() {
-  if (browser && context) return;
+function createSessionStore({ file, maxAgeMs, label }) {
+  let session = null; // { savedAt, state: { cookies, origins } }
+  try {
+    session = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {}
 
-  browser = await chromium.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-      "--disable-blink-features=AutomationControlled",
-    ],
-  });
+  const liveCookies = () => {
+    const nowSec = Date.now() / 1000;
+    return (session?.state?.cookies || []).filter((c) => c.expires == null || c.expires < 0 || c.expires > nowSec);
+  };
 
-  context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-    viewport: { width: 1280, height: 720 },
-    locale: "en-CA",
-    extraHTTPHeaders: {
-      "Accept-Language": "en-CA,en;q=0.9,fr-CA;q=0.8,fr;q=0.7",
-    },
-  });
+  function isValid() {
+    return Boolean(session) && Date.now() - session.savedAt < maxAgeMs && liveCookies().length > 0;
+  }
 
-  // tiny stealth
-  await context.addInitScript(() => {
-    Object.defineProperty(navigator, "webdriver", { get: () => undefined });
-  });
+  async function persist() {
+    const tmp = `${file}.tmp`;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    if (!session) return fsp.rm(file, { force: true });
+    await fsp.writeFile(tmp, JSON.stringify(session));
+    await fsp.rename(tmp, file);
+  }
+  let writes = Promise.resolve();
+  const queuePersist = () => {
+    writes = writes.then(persist).catch((e) => log.error("session write failed", { session: label, error: e }));
+  };
+
+  return {
+    isValid,
+    // Storage state for a new browser context, or undefined when stale.
+    storageState: () => (isValid() ? session.state : undefined),
+    // Refreshed cookies keep the original warm-up time, so maxAgeMs still
+    // expires a session that scrapes keep using; warmed marks a new one.
+    save(state, { warmed = false } = {}) {
+      session = { savedAt: warmed || !session ? Date.now() : session.savedAt, state };
+      queuePersist();
+    },
+    invalidate(reason) {
+      if (!session) return;
+      log.warn("session dropped", { session: label, reason });
+      session = null;
+      queuePersist();
+    },
+    // Cookie header for a plain fetch of `url` (domain/path/secure matched).
+    cookieHeader(url) {
+      if (!isValid()) return "";
+      const u = new URL(url);
+      return liveCookies()
+        .filter((c) => {
+          const domain = String(c.domain || "").replace(/^\./, "");
+          const domainOk = u.hostname === domain || u.hostname.endsWith(`.${domain}`);
+          return domainOk && u.pathname.startsWith(c.path || "/") && (!c.secure || u.protocol === "https:");
+        })
+        .map((c) => `${c.name}=${c.value}`)
+        .join("; ");
+    },
+    status() {
+      return {
+        valid: isValid(),
+        savedAt: session ? new Date(session.savedAt).toISOString() : null,
+        cookies: liveCookies().length,
+      };
+    },
+  };
 }
 
-// For DuProprio we keep speed optimizations.
-// For Centris we DO NOT block images/fonts because it often triggers bot/challenge pages.
-async function enableFastRoutesDuProprio(page) {
+const centrisSession = createSessionStore({
+  file: CENTRIS_SESSION_FILE,
+  maxAgeMs: CENTRIS_SESSION_MAX_AGE_MS,
+  label: "centris",
+});
+
+// -------------------- Playwright browser pool --------------------
+// One Chromium process with a context per source (see browsers.js);
+// browser.maxPages caps open pages across all contexts.
+const browserPool = createBrowserPool({
+  maxPages: config.browser.maxPages,
+  pagesPerContext: config.browser.pagesPerContext,
+  blocksPerContext: config.browser.blocksPerContext,
+  launch: () => chromium.launch({ headless: config.browser.headless, args: [...config.browser.args] }),
+  newContext: async (b, key) => {
+    const context = await b.newContext({
+      storageState: key === "centris" ? centrisSession.storageState() : undefined,
+      userAgent: config.scrape.userAgent,
+      viewport: { width: 1280, height: 720 },
+      locale: "en-CA",
+      extraHTTPHeaders: {
+        "Accept-Language": config.scrape.acceptLanguage,
+      },
+    });
+
+    // tiny stealth
+    await context.addInitScript(() => {
+      Object.defineProperty(navigator, "webdriver", { get: () => undefined });
+    });
+    return context;
+  },
+});
+
+// For DuProprio-style sites we keep speed optimizations.
+// For Centris/Realtor we DO NOT block images/fonts because it often triggers bot/challenge pages.
+async function enableFastRoutes(page) {
   await page.route("**/*", (route) => {
     const type = route.request().resourceType();
     if (type === "image" || type === "media" || type === "font") return route.abort();
@@ -288,8 +492,7 @@ async function gotoWithRetries(page, url, opts = {}) {
 
   for (let attempt = 0; attempt <= tries; attempt += 1) {
     try {
-      await withHardTimeout(page.goto(url, { waitUntil }), navTimeoutMs, "nav timeout");
-      return;
+      return await withHardTimeout(page.goto(url, { waitUntil }), navTimeoutMs, "nav timeout");
     } catch (e) {
       lastErr = e;
       const msg = String(e?.message || e || "").toLowerCase();
@@ -336,426 +539,1439 @@ async function safeEvaluate(page, fn, { timeoutMs = 9000, retries = 1, label = "
   throw lastErr;
 }
 
-async function shutdown() {
-  try {
-    await context?.close();
-  } catch {}
-  try {
-    await browser?.close();
-  } catch {}
-  context = null;
-  browser = null;
-}
-process.on("SIGINT", shutdown);
-process.on("SIGTERM", shutdown);
-
-// -------------------- Centris parsing (cheerio) --------------------
-function parseCentrisFromHtml(url, html) {
-  const $ = load(html);
-
-  let price = "N/A";
-  const priceText =
-    cleanText($("[data-cy='buyPrice']").first().text()) ||
-    cleanText($("[data-cy='price']").first().text()) ||
-    cleanText($(".price").first().text());
-  if (priceText) {
-    const m = priceText.match(/\$[\s0-9,]+/);
-    if (m) price = cleanText(m[0]);
-  }
-
-  const teaser = cleanText($(".row.teaser").first().text());
-  let beds = null;
-  let baths = null;
-  if (teaser) {
-    const bedMatch = teaser.match(/(\d+)\s*bedroom/i);
-    const bathMatch = teaser.match(/(\d+)\s*bathroom/i);
-    if (bedMatch) beds = Number(bedMatch[1]);
-    if (bathMatch) baths = Number(bathMatch[1]);
-  }
-
-  const getCarac = (label) => {
-    const titles = $(".carac-title").toArray();
-    for (const t of titles) {
-      const tt = cleanText($(t).text()).toLowerCase();
-      if (tt === label.toLowerCase()) {
-        const val = cleanText($(t).closest(".carac-container, .carac").find(".carac-value").first().text());
-        if (val) return val;
-      }
-    }
-    return "";
-  };
-
-  const rawArea = getCarac("Net area") || getCarac("Area");
-  const area = rawArea ? normalizeAreaToFt2(rawArea) : null;
-
-  let condoFees = "N/A";
-  const feeRows = $("table tr").toArray();
-  for (const r of feeRows) {
-    const rowText = cleanText($(r).text()).toLowerCase();
-    if (rowText.includes("condominium fees")) {
-      const tds = $(r).find("td").toArray();
-      if (tds.length) {
-        const last = cleanText($(tds[tds.length - 1]).text());
-        if (last) condoFees = last;
-      }
-    }
-  }
-  condoFees = ensureMonthlyFeesString(condoFees);
-
-  // ✅ screenshot shows h2[itemprop="address"]
-  const address =
-    cleanText($("h2[itemprop='address']").first().text()) ||
-    cleanText($("[itemprop='address']").first().text()) ||
-    cleanText($("[data-cy='address']").first().text()) ||
-    "";
-
-  let contact = "N/A";
-  const agentName =
-    cleanText($("[data-cy='broker-name']").text()) ||
-    cleanText($(".broker-name, .brokerName, .realtor-name").first().text());
-  const phone =
-    cleanText($("[data-cy='broker-phone']").text()) || cleanText($("a[href^='tel:']").first().text());
-  if (agentName || phone) contact = cleanText([agentName, phone].filter(Boolean).join(" - "));
-
+// -------------------- Centris session-style Playwright (key fix) --------------------
+// Playwright fetchers return { ok, html, title, finalUrl, status, headers,
+// screenshot }; the screenshot is only taken when keepEvidence(html) says the
+// page is worth keeping for diagnostics.
+async function pageResult(page, res, html, keepEvidence) {
+  const screenshot = keepEvidence?.(html) ? await page.screenshot({ type: "png" }).catch(() => null) : null;
   return {
-    url,
-    source: "Centris",
-    address: address || "",
-    price,
-    beds: Number.isFinite(beds) ? beds : null,
-    baths: Number.isFinite(baths) ? baths : null,
-    levels: null,
-    area,
-    condoFees,
-    contact,
+    ok: true,
+    html,
+    title: await page.title().catch(() => ""),
+    finalUrl: page.url(),
+    status: res?.status() ?? 0,
+    headers: res?.headers() ?? {},
+    screenshot,
   };
 }
 
-// -------------------- Centris session-style Playwright (key fix) --------------------
-async function fetchCentrisHtmlPlaywrightSession(url) {
-  await ensureBrowser();
-  const page = await context.newPage();
-  page.setDefaultNavigationTimeout(30000);
-  page.setDefaultTimeout(30000);
+async function fetchCentrisHtmlPlaywrightSession(url, { keepEvidence, navTimeoutMs = 30000, waitMs = 14000 } = {}) {
+  await hostLimiter.take(url); // homepage warm-up + listing count as one visit
 
-  try {
-    // Step 1: visit homepage to get cookies/session
-    await gotoWithRetries(page, "https://www.centris.ca/en", { navTimeoutMs: 25000, tries: 1, waitUntil: "domcontentloaded" });
-    await page.waitForTimeout(250);
+  // Warm up on the homepage in the listing's language so /fr/ pages stay French.
+  const home = /centris\.ca\/fr(\/|$)/i.test(url) ? "https://www.centris.ca/fr" : "https://www.centris.ca/en";
+
+  return browserPool.withPage("centris", async (page) => {
+    page.setDefaultNavigationTimeout(navTimeoutMs);
+    page.setDefaultTimeout(navTimeoutMs);
+
+    // Step 1: visit homepage to get cookies/session, unless a saved one is still good
+    const warmed = !centrisSession.isValid();
+    if (warmed) {
+      await gotoWithRetries(page, home, { navTimeoutMs, tries: 1, waitUntil: "domcontentloaded" });
+      await page.waitForTimeout(250);
+    }
 
     // Step 2: visit listing with referer
     await page.setExtraHTTPHeaders({
-      Referer: "https://www.centris.ca/en",
+      Referer: home,
     });
 
     // networkidle helps Centris pages that fetch data after DOMContentLoaded
-    await gotoWithRetries(page, url, { navTimeoutMs: 30000, tries: 1, waitUntil: "networkidle" });
+    const res = await gotoWithRetries(page, url, { navTimeoutMs, tries: 1, waitUntil: "networkidle" });
 
     // wait for key signals
     await waitForAny(
       page,
       ["[data-cy='buyPrice']", "[data-cy='price']", "h2[itemprop='address']", ".row.teaser", "body"],
-      14000
+      waitMs
     ).catch(() => "");
 
     await page.waitForTimeout(250);
 
-    const html = await withHardTimeout(page.content(), 14000, "content timeout");
-    const title = await page.title().catch(() => "");
-    const finalUrl = page.url();
+    const html = await withHardTimeout(page.content(), waitMs, "content timeout");
 
-    return { ok: true, html, title, finalUrl };
-  } finally {
-    await page.close().catch(() => {});
-  }
+    // A blocked session is burnt: drop it and start the next scrape from a clean context.
+    if (looksBlocked(html)) {
+      centrisSession.invalidate("blocked");
+      browserPool.recycle("centris", "session blocked");
+    } else {
+      centrisSession.save(await page.context().storageState(), { warmed });
+    }
+    return pageResult(page, res, html, keepEvidence);
+  });
 }
 
-// -------------------- DuProprio parsing (cheerio) --------------------
-function parseDuProprioFromHtml(url, html) {
-  const $ = load(html);
+// -------------------- Generic Playwright fetch --------------------
+async function fetchHtmlPlaywright(url, opts = {}) {
+  const {
+    fastRoutes = true,
+    waitUntil = "domcontentloaded",
+    navTimeoutMs = 25000,
+    waitSelectors = ["body"],
+    waitMs = 12000,
+    keepEvidence,
+  } = opts;
+
+  await hostLimiter.take(url);
+  // One context per source, the key noteResult() counts blocks under. Unknown
+  // sources never get here: sourceError() turns them away at the route.
+  return browserPool.withPage(detectSource(url), async (page) => {
+    page.setDefaultNavigationTimeout(navTimeoutMs);
+    page.setDefaultTimeout(navTimeoutMs);
+    if (fastRoutes) await enableFastRoutes(page);
+
+    const res = await gotoWithRetries(page, url, { navTimeoutMs, tries: 1, waitUntil });
+    await waitForAny(page, waitSelectors, waitMs).catch(() => "");
+    await page.waitForTimeout(180);
 
-  let price = cleanText($(".listing-price__amount").first().text()) || "N/A";
+    const html = await withHardTimeout(page.content(), waitMs, "content timeout");
+    return pageResult(page, res, html, keepEvidence);
+  });
+}
 
-  if (price === "N/A") {
-    const metaAmount =
-      cleanText($("meta[property='product:price:amount']").attr("content")) ||
-      cleanText($("meta[property='og:price:amount']").attr("content")) ||
-      cleanText($("meta[name='twitter:data1']").attr("content"));
-    if (metaAmount) {
-      const n = moneyToNumber(metaAmount);
-      if (n != null) price = formatMoney(n);
-    }
-  }
+// -------------------- Source adapters --------------------
+// An adapter is a LISTING_SOURCES entry (URL matching + parser, parsers.js)
+// plus how to fetch it:
+//   directTimeoutMs   budget for the plain HTTP fast path
+//   navTimeoutMs      browser navigation budget
+//   waitMs            how long the browser waits for the page's key selectors
+//   hasData(listing)  is a direct-fetch parse good enough to skip the browser?
+//   isBlocked(html)   challenge/captcha/login-wall detection
+//   fetchWithBrowser  (url, { keepEvidence, navTimeoutMs, waitMs }) => page result (see pageResult),
+//                     or null for direct-only
+//   minSpacingMs      minimum gap between two requests to the source's host
+//   cookieHeader(url) Cookie header for the direct fetch ("" for none)
+// Timeouts, spacing and which adapters serve requests (sources.enabled) come
+// from config.sources; the config wins over the registration below.
+const ENABLED_SOURCES = new Set(config.sources.enabled);
+const sourceAdapters = new Map(); // id -> adapter
+
+function registerSource(id, adapter) {
+  const base = LISTING_SOURCES[id];
+  if (!base) throw new Error(`No parser registered for source "${id}"`);
+  const { directTimeoutMs, navTimeoutMs, waitMs, minSpacingMs } = config.sources[id];
+  sourceAdapters.set(id, {
+    id,
+    label: base.label,
+    parse: base.parse,
+    referer: "",
+    hasData: (l) => l.price !== "N/A" || l.beds != null || l.area != null,
+    isBlocked: looksBlocked,
+    fetchWithBrowser: null,
+    cookieHeader: () => "",
+    ...adapter,
+    directTimeoutMs,
+    navTimeoutMs,
+    waitMs,
+    minSpacingMs: minSpacingMs ?? RATE_MIN_SPACING_MS,
+    enabled: ENABLED_SOURCES.has(id),
+  });
+}
 
-  if (price === "N/A") {
-    const metaText =
-      cleanText($("meta[property='og:description']").attr("content")) ||
-      cleanText($("meta[property='og:title']").attr("content")) ||
-      "";
-    const p = extractMoneyFromText(metaText);
-    if (p) price = p;
-  }
+function getSourceAdapter(url) {
+  const adapter = sourceAdapters.get(detectSource(url));
+  return adapter?.enabled ? adapter : null;
+}
 
-  let beds = null;
-  let baths = null;
-  let area = null;
+// Message for a URL no enabled adapter accepts, or "" when one does.
+function sourceError(url) {
+  const adapter = sourceAdapters.get(detectSource(url));
+  if (!adapter) return "Unknown listing source.";
+  if (!adapter.enabled) return `Listing source "${adapter.id}" is disabled.`;
+  return "";
+}
 
-  const items = $(".listing-main-characteristics__item").toArray();
-  for (const el of items) {
-    const $el = $(el);
-    const number = cleanText($el.find(".listing-main-characteristics__number").first().text());
-    const title = cleanText($el.find(".listing-main-characteristics__title").first().text()).toLowerCase();
-    const cls = ($el.attr("class") || "").toLowerCase();
+registerSource("centris", {
+  referer: "https://www.centris.ca/",
+  cookieHeader: (url) => centrisSession.cookieHeader(url),
+  hasData: (l) => l.price !== "N/A" || l.beds != null || l.baths != null || Boolean(l.address),
+  // Playwright "real session" fetch (cookies + networkidle)
+  fetchWithBrowser: fetchCentrisHtmlPlaywrightSession,
+});
 
-    if (!beds && (title.includes("bedroom") || title.includes("bedrooms"))) {
-      const n = Number(number.replace(/[^\d.]/g, ""));
-      if (Number.isFinite(n)) beds = n;
-    }
-    if (!baths && (title.includes("bathroom") || title.includes("bathrooms") || title === "bath")) {
-      const n = Number(number.replace(/[^\d.]/g, ""));
-      if (Number.isFinite(n)) baths = n;
-    }
-    if (!area && (cls.includes("item-dimensions") || number.includes("ft²") || number.toLowerCase().includes("sqft"))) {
-      area = normalizeAreaToFt2(number);
-    }
-  }
+registerSource("duproprio", {
+  fetchWithBrowser: (url, opts) =>
+    fetchHtmlPlaywright(url, {
+      ...opts,
+      waitSelectors: [
+        ".listing-price__amount",
+        ".listing-main-characteristics__item",
+        "meta[property='product:price:amount']",
+        "script[type='application/ld+json']",
+        "body",
+      ],
+    }),
+});
+
+registerSource("realtor", {
+  isBlocked: (html) => looksBlocked(html) || /_incapsula_resource|incapsula incident/i.test(html || ""),
+  fetchWithBrowser: (url, opts) =>
+    fetchHtmlPlaywright(url, {
+      ...opts,
+      fastRoutes: false,
+      waitUntil: "networkidle",
+      waitSelectors: ["#listingPriceValue", "#listingAddress", "body"],
+    }),
+});
+
+registerSource("kijiji", {
+  fetchWithBrowser: (url, opts) =>
+    fetchHtmlPlaywright(url, {
+      ...opts,
+      waitSelectors: ["[data-testid='listing-price']", "script[type='application/ld+json']", "body"],
+    }),
+});
 
-  let condoFees =
-    cleanText($(".listing-fees__amount").first().text()) ||
-    cleanText($(".listing-financial__amount").first().text()) ||
-    "N/A";
+// Without a logged-in session only the OpenGraph preview is readable, so a
+// page without og:title is treated as a login wall.
+registerSource("marketplace", {
+  hasData: () => true,
+  isBlocked: (html) => !/property=["']og:title["']/i.test(html || ""),
+});
+
+// -------------------- Block diagnostics --------------------
+// A blocked or unparseable scrape leaves evidence in data/diagnostics/<id>/:
+// meta.json (status, headers, block type, ...), page.html and, when the
+// browser got that far, screenshot.png. Only the newest diagnostics.max are
+// kept; diagnostics.enabled = false turns capture off.
+const DIAGNOSTICS_ENABLED = config.diagnostics.enabled;
+const DIAGNOSTICS_DIR = path.join(DATA_DIR, "diagnostics");
+const DIAGNOSTICS_MAX = config.diagnostics.max;
+const DIAGNOSTIC_ID_RE = /^\d{8}T\d{6}-[a-z]+-[0-9a-f]{8}$/;
+let diagnosticsWrites = Promise.resolve();
+
+// Sortable by name: 20261019T191308-centris-1a2b3c4d
+function newDiagnosticId(sourceId) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  return `${stamp}-${sourceId}-${randomUUID().slice(0, 8)}`;
+}
+
+async function listDiagnosticIds() {
+  const names = await fsp.readdir(DIAGNOSTICS_DIR).catch(() => []);
+  return names.filter((n) => DIAGNOSTIC_ID_RE.test(n)).sort();
+}
+
+async function readDiagnostic(id) {
+  if (!DIAGNOSTIC_ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(await fsp.readFile(path.join(DIAGNOSTICS_DIR, id, "meta.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
 
-  if (condoFees === "N/A") {
-    const body = cleanText($("body").text());
-    const m = body.match(/condo fees[^$]{0,60}(\$\s*[\d\s,]{2,}(?:\.\d{2})?)/i);
-    if (m && m[1]) condoFees = m[1];
-    const mFr = body.match(/frais de condo[^$]{0,60}(\$\s*[\d\s,]{2,}(?:\.\d{2})?)/i);
-    if (condoFees === "N/A" && mFr && mFr[1]) condoFees = mFr[1];
+async function pruneDiagnostics() {
+  const ids = await listDiagnosticIds();
+  for (const id of ids.slice(0, Math.max(0, ids.length - DIAGNOSTICS_MAX))) {
+    await fsp.rm(path.join(DIAGNOSTICS_DIR, id), { recursive: true, force: true });
   }
-  condoFees = ensureMonthlyFeesString(condoFees);
+}
 
-  const address =
-    cleanText($(".listing-address").first().text()) ||
-    cleanText($("[class*='listing-address']").first().text()) ||
-    "";
+// `page` is a fetch result tagged with stage "direct" | "browser"; `direct`
+// is the direct-fetch result when the browser page is the one being saved.
+// Files are written in the background; the meta comes back right away.
+function saveDiagnostics(adapter, url, reason, page, direct) {
+  if (!DIAGNOSTICS_ENABLED) return null;
+  const html = page.html || "";
+  const meta = {
+    id: newDiagnosticId(adapter.id),
+    capturedAt: new Date().toISOString(),
+    url,
+    source: adapter.id,
+    reason, // blocked | parse_failed
+    stage: page.stage,
+    blockType: reason === "blocked" ? classifyBlock(html, page.status) : null,
+    status: page.status ?? 0,
+    headers: page.headers || {},
+    title: page.title || "",
+    finalUrl: page.finalUrl || "",
+    error: page.error || null,
+    htmlBytes: html.length,
+    screenshot: Boolean(page.screenshot),
+    ...(page.stage === "browser" && direct
+      ? { direct: { status: direct.status ?? 0, error: direct.error || null, htmlBytes: (direct.html || "").length } }
+      : {}),
+  };
 
-  let contact = "N/A";
-  const tel = cleanText($("a[href^='tel:']").first().text());
-  if (tel) contact = tel;
+  diagnosticsWrites = diagnosticsWrites
+    .then(async () => {
+      const dir = path.join(DIAGNOSTICS_DIR, meta.id);
+      await fsp.mkdir(dir, { recursive: true });
+      await fsp.writeFile(path.join(dir, "page.html"), html);
+      if (page.screenshot) await fsp.writeFile(path.join(dir, "screenshot.png"), page.screenshot);
+      await fsp.writeFile(path.join(dir, "meta.json"), `${JSON.stringify(meta, null, 2)}\n`);
+      await pruneDiagnostics();
+    })
+    .catch((e) => log.error("diagnostics write failed", { diagnosticsId: meta.id, error: e }));
+
+  log.warn("diagnostics captured", {
+    diagnosticsId: meta.id,
+    source: adapter.id,
+    reason,
+    blockType: meta.blockType,
+    status: meta.status,
+    url,
+  });
+  return meta;
+}
 
+// -------------------- Scrapers --------------------
+function blankListing(adapter, url, address, status = "active") {
   return {
     url,
-    source: "DuProprio",
-    address: address || "",
-    price,
-    beds: Number.isFinite(beds) ? beds : null,
-    baths: Number.isFinite(baths) ? baths : null,
+    source: adapter.label,
+    status,
+    address,
+    price: "N/A",
+    beds: null,
+    baths: null,
     levels: null,
-    area: area ? normalizeAreaToFt2(area) : null,
-    condoFees,
-    contact,
+    area: null,
+    condoFees: "N/A",
+    contact: "N/A",
+    photos: [],
+    yearBuilt: null,
+    parking: null,
+    taxes: null,
+    assessment: null,
+    description: null,
+    mlsNumber: null,
   };
 }
 
-// -------------------- Scrapers --------------------
-async function scrapeCentris(url, addressHint) {
+// Times the whole attempt under the path that settled it: "direct" when the
+// fast path was enough (or the source has no browser), else "browser".
+async function scrapeListing(adapter, url, addressHint) {
+  const t0 = Date.now();
+  const stage = { path: "direct" };
+  try {
+    return await scrapeListingVia(adapter, url, addressHint, stage);
+  } finally {
+    scrapeDuration.observe({ source: adapter.id, path: stage.path }, (Date.now() - t0) / 1000);
+  }
+}
+
+// Every listing leaves here with a `status`: active | sold | delisted |
+// blocked | error (see detectListingStatus for sold/delisted). Sold pages
+// keep their parsed data; delisted ones are blank, since a redirect target
+// (search results) would parse into someone else's listing.
+async function scrapeListingVia(adapter, url, addressHint, stage) {
+  const hint = cleanText(addressHint || "") || "";
+  // Browser pages worth a screenshot if this attempt ends up blocked/empty.
+  const keepEvidence = (html) => adapter.isBlocked(html) || !adapter.hasData(adapter.parse(url, html));
+  // 404/410, or a redirect that lost the listing id (unless it landed on a
+  // bot wall). Needs no page body, so it also works on short error pages.
+  const goneByResponse = (page) => {
+    if (!page?.status) return false;
+    if (page.status === 404 || page.status === 410) return true;
+    return !adapter.isBlocked(page.html) && detectListingStatus({ url, finalUrl: page.finalUrl }) === "delisted";
+  };
+  const settle = (page, parsed) => {
+    const status = detectListingStatus({ url, finalUrl: page.finalUrl, httpStatus: page.status, html: page.html });
+    if (status === "delisted") return blankListing(adapter, url, hint, status);
+    if (status === "sold" || adapter.hasData(parsed)) return { ...parsed, status: status || "active" };
+    return null;
+  };
+
   // 1) FAST direct fetch
-  const direct = await fetchHtmlDirect(url, 7000);
-  if (direct.ok && !looksBlocked(direct.html)) {
-    const parsed = parseCentrisFromHtml(url, direct.html);
-    if (parsed.price !== "N/A" || parsed.beds != null || parsed.baths != null || parsed.address) return parsed;
+  const direct = await fetchHtmlDirect(url, adapter.directTimeoutMs, {
+    referer: adapter.referer,
+    cookie: adapter.cookieHeader(url),
+  });
+  // Gone is an answer, not a failure; the browser won't find more.
+  if (goneByResponse(direct)) {
+    hostLimiter.noteOk(url);
+    return blankListing(adapter, url, hint, "delisted");
+  }
+  if (direct.ok && !adapter.isBlocked(direct.html)) {
+    const listing = settle(direct, adapter.parse(url, direct.html));
+    if (listing) {
+      hostLimiter.noteOk(url);
+      return listing;
+    }
   }
 
-  // 2) Playwright "real session" fetch (cookies + networkidle)
-  const pw = await fetchCentrisHtmlPlaywrightSession(url);
+  // 2) Browser strategy, when the source has one
+  if (adapter.fetchWithBrowser) stage.path = "browser";
+  const pw = adapter.fetchWithBrowser
+    ? await adapter.fetchWithBrowser(url, { keepEvidence, navTimeoutMs: adapter.navTimeoutMs, waitMs: adapter.waitMs })
+    : null;
 
+  const gone = goneByResponse(pw);
   // If blocked, DO NOT throw.
   // Return a best-effort listing so your frontend can still show something.
-  if (!pw?.html || pw.html.length < 1200 || looksBlocked(pw.html)) {
+  const blocked = !gone && (!pw?.html || pw.html.length < 1200 || adapter.isBlocked(pw.html));
+  if (pw) browserPool.noteResult(adapter.id, blocked);
+  if (blocked) {
+    hostLimiter.noteBlocked(url);
+    const page = pw ? { ...pw, stage: "browser" } : { ...direct, stage: "direct" };
+    const diag = saveDiagnostics(adapter, url, "blocked", page, direct);
     return {
-      url,
-      source: "Centris",
-      address: cleanText(addressHint || "") || "",
-      price: "N/A",
-      beds: null,
-      baths: null,
-      levels: null,
-      area: null,
-      condoFees: "N/A",
-      contact: "N/A",
+      ...blankListing(adapter, url, hint, "blocked"),
       _blocked: true,
       _diag: {
         title: pw?.title || "",
         finalUrl: pw?.finalUrl || "",
+        status: page.status ?? 0,
+        blockType: diag?.blockType || classifyBlock(page.html, page.status),
+        ...(diag ? { id: diag.id } : {}),
       },
     };
   }
 
-  const parsed = parseCentrisFromHtml(url, pw.html);
-  return parsed;
+  hostLimiter.noteOk(url);
+  if (gone) return blankListing(adapter, url, hint, "delisted");
+  const parsed = adapter.parse(url, pw.html);
+  const listing = settle(pw, parsed);
+  if (listing) return listing;
+
+  // Not blocked, not gone, nothing parsed: the scraper is what broke.
+  saveDiagnostics(adapter, url, "parse_failed", { ...pw, stage: "browser" }, direct);
+  return { ...parsed, status: "error", _error: "No listing data found on the page." };
 }
 
-async function scrapeDuProprio(url) {
-  // Direct
-  const direct = await fetchHtmlDirect(url, 6500);
-  if (direct.ok && !looksBlocked(direct.html)) {
-    const parsed = parseDuProprioFromHtml(url, direct.html);
-    if (parsed.price !== "N/A" || parsed.beds != null || parsed.area != null) return parsed;
-  }
+// -------------------- Listing pipeline --------------------
+function fallbackListing(url, adapter, addressHint, err) {
+  return withNumbers({
+    ...blankListing(adapter, url, cleanText(addressHint) || "N/A", "error"),
+    _error: `Scrape failed: ${err?.message || err}`,
+  });
+}
 
-  // Playwright (fast routes ok for DP)
-  await ensureBrowser();
-  const page = await context.newPage();
-  page.setDefaultNavigationTimeout(25000);
-  page.setDefaultTimeout(25000);
-  await enableFastRoutesDuProprio(page);
+// Scrape outcomes for the block rate on GET /readyz.
+const recentScrapes = createOutcomeWindow(config.readiness.blockWindowMs);
 
-  try {
-    await gotoWithRetries(page, url, { navTimeoutMs: 25000, tries: 1, waitUntil: "domcontentloaded" });
-    await waitForAny(
-      page,
-      [
-        ".listing-price__amount",
-        ".listing-main-characteristics__item",
-        "meta[property='product:price:amount']",
-        "script[type='application/ld+json']",
-        "body",
-      ],
-      12000
-    ).catch(() => "");
-    await page.waitForTimeout(180);
+// listing -> the changes its scrape recorded, so only the response carrying
+// that scrape reports them (not every later cache hit).
+const scrapeChanges = new WeakMap();
 
-    const html = await withHardTimeout(page.content(), 12000, "content timeout");
-    const title = await page.title().catch(() => "");
-    const finalUrl = page.url();
+// Runs one scrape behind its source's scrapeGate slot and registers it in `inflight` so
+// concurrent callers for the same key share the same promise.
+function startScrape(adapter, url, addressHint, key, refresh) {
+  const p = (async () => {
+    await scrapeGate.acquire(adapter.id);
+    try {
+      const t0 = Date.now();
 
-    if (!html || html.length < 1200 || looksBlocked(html)) {
-      throw new Error(`duproprio blocked/empty (title="${title}" url="${finalUrl}")`);
-    }
+      const listing = await withHardTimeout(
+        scrapeListing(adapter, url, addressHint),
+        config.scrape.timeoutMs,
+        `${adapter.id} timeout`
+      );
 
-    const parsed = parseDuProprioFromHtml(url, html);
-    if (parsed.price === "N/A" && parsed.beds == null && parsed.area == null) {
-      throw new Error(`duproprio missing fields (title="${title}" url="${finalUrl}")`);
+      const safeScraped = sanitizeAddressOrBlank(listing.address);
+      const finalAddress = safeScraped || cleanText(addressHint) || "N/A";
+      const finalListing = withNumbers({ ...listing, address: finalAddress });
+
+      const looksGood =
+        finalListing.price !== "N/A" ||
+        finalListing.beds != null ||
+        finalListing.baths != null ||
+        (finalListing.area && finalListing.area !== "N/A") ||
+        (finalListing.condoFees && finalListing.condoFees !== "N/A") ||
+        (finalListing.address && finalListing.address !== "N/A");
+
+      // Blocked and error results are never cached: callers fall back to
+      // the last good copy and jobs retry.
+      const { status } = finalListing;
+      if ((status === "active" && looksGood) || OFF_MARKET_STATUSES.has(status)) {
+        listingCache.set(key, finalListing);
+        const changes = recordSnapshot(finalListing, safeScraped, addressHint);
+        if (changes) scrapeChanges.set(finalListing, changes);
+      }
+
+      const outcome = status === "active" ? "ok" : status;
+      scrapesTotal.inc({ source: adapter.id, outcome });
+      recentScrapes.record(adapter.id, outcome);
+      if (finalListing._blocked) scrapeBlocks.inc({ source: adapter.id, block_type: finalListing._diag?.blockType || "unknown" });
+      log.info("scrape", {
+        source: adapter.id,
+        ms: Date.now() - t0,
+        outcome,
+        refresh,
+        url,
+        ...(finalListing._blocked ? { blockType: finalListing._diag?.blockType } : {}),
+      });
+      return finalListing;
+    } catch (e) {
+      scrapesTotal.inc({ source: adapter.id, outcome: "error" });
+      recentScrapes.record(adapter.id, "error");
+      log.warn("scrape failed", { source: adapter.id, url, refresh, error: e });
+      throw e;
+    } finally {
+      scrapeGate.release(adapter.id);
     }
-    return parsed;
-  } finally {
-    await page.close().catch(() => {});
-  }
+  })();
+
+  return inflight.track(key, p);
 }
 
-// -------------------- API --------------------
-app.get("/api/listing", async (req, res) => {
-  const url = String(req.query.url || "").trim();
-  const addressHint = String(req.query.addressHint || "").trim();
-  const refresh = String(req.query.refresh || "").trim() === "1";
+// -------------------- Buildings --------------------
+// Listings are tied to map buildings at response time, so registry edits
+// apply to cached listings too. The scraped address wins; the caller's
+// addressHint fills in when the page had none (or no unit: Centris often
+// leaves the apartment number out of the address line).
+const BUILDINGS_FILE = config.buildings.file || path.join(DATA_DIR, "buildings.json");
+const buildings = createBuildingRegistry(BUILDINGS_FILE);
+
+function withBuilding(listing, addressHint) {
+  if (!listing) return listing;
+  const scraped = isPresent(listing.address) ? parseAddress(listing.address) : null;
+  const hinted = addressHint ? parseAddress(addressHint) : null;
+  const parts = scraped || hinted;
+  const unit = parts?.unit || (hinted && addressKey(hinted) === addressKey(parts) ? hinted.unit : null);
+  const building = buildings.match(parts) || (hinted && buildings.match(hinted));
+  return { ...listing, addressParts: parts ? { ...parts, unit } : null, buildingId: building?.id || null, unit };
+}
 
-  if (!url) return res.status(400).json({ ok: false, error: "Missing url parameter." });
+// Latest copy of every listing the server has seen: the newest cache entry
+// per URL (across address hints), plus the last history snapshot of URLs
+// that aged out of the cache. Read-only: nothing here starts a scrape.
+function knownListings() {
+  const latest = new Map(); // url -> { listing, ts, fetchedAt, stale, from }
+  for (const [key, entry] of cacheStore.entries()) {
+    const view = listingCache.view(entry);
+    const url = view?.data?.url;
+    if (!url || latest.get(url)?.ts >= entry.ts) continue;
+    const listing = withBuilding(view.data, hintFromCacheKey(key));
+    latest.set(url, { listing, ts: entry.ts, stale: view.stale, from: "cache" });
+  }
+  for (const url of historyStore.urls()) {
+    const last = historyStore.list(url).at(-1);
+    if (latest.has(url) || !last) continue;
+    const listing = withNumbers({ status: "active", ...last.listing });
+    latest.set(url, { listing: withBuilding(listing, last.listing.addressHint), ts: last.ts, stale: true, from: "history" });
+  }
+  return [...latest.values()].map((k) => ({ ...k, fetchedAt: new Date(k.ts).toISOString() }));
+}
 
-  const src = detectSource(url);
-  if (src === "unknown") return res.status(400).json({ ok: false, error: "Unknown listing source." });
+// Cache -> inflight -> fresh scrape. Never throws: failures come back as a
+// best-effort listing with `_error` so callers can always render something.
+// Expired entries are served immediately (`stale: true`) while a deduped
+// background refresh runs, and a blocked/failed scrape falls back to the
+// last good copy instead of the all-"N/A" listing.
+async function resolveListing(url, addressHint, options) {
+  const result = await lookupListing(url, addressHint, options);
+  return { ...result, listing: withBuilding(result.listing, addressHint) };
+}
 
+async function lookupListing(url, addressHint, { refresh = false } = {}) {
+  const adapter = getSourceAdapter(url);
   const key = makeCacheKey(url, addressHint);
+  const hit = listingCache.get(key);
+  cacheLookups.inc({ source: adapter.id, result: refresh ? "refresh" : !hit ? "miss" : hit.stale ? "stale" : "hit" });
+
+  if (hit && !refresh) {
+    if (!hit.stale) return { listing: hit.data, cached: true, fetchedAt: hit.fetchedAt };
+    if (inflight.has(key)) inflightHits.inc({ source: adapter.id });
+    else startScrape(adapter, url, addressHint, key, false);
+    return { listing: hit.data, cached: true, stale: true, fetchedAt: hit.fetchedAt, revalidating: true };
+  }
+
+  const orLastGood = (result) => {
+    const failed = result.listing?._blocked || result.listing?._error;
+    if (!failed || !hit) return result;
+    return {
+      listing: hit.data,
+      cached: true,
+      stale: true,
+      fetchedAt: hit.fetchedAt,
+      refreshFailed: result.listing._blocked ? "blocked" : result.listing._error,
+      ...("refresh" in result ? { refresh: result.refresh } : {}),
+    };
+  };
 
-  const cached = !refresh ? getCached(key) : null;
-  if (cached) return res.json({ ok: true, listing: cached, cached: true });
+  const withChanges = (result) => {
+    const changes = scrapeChanges.get(result.listing);
+    return changes ? { ...result, changes } : result;
+  };
 
   const existing = !refresh ? inflight.get(key) : null;
   if (existing) {
+    inflightHits.inc({ source: adapter.id });
     try {
-      const listing = await withHardTimeout(existing, 30000, "inflight timeout");
-      return res.json({ ok: true, listing, cached: false, deduped: true });
+      const listing = await withHardTimeout(existing, config.scrape.inflightWaitMs, "inflight timeout");
+      return orLastGood(withChanges({ listing, cached: false, deduped: true }));
     } catch (e) {
-      // return best-effort instead of 500
-      return res.json({
-        ok: true,
-        listing: {
-          url,
-          source: src === "centris" ? "Centris" : "DuProprio",
-          address: cleanText(addressHint) || "N/A",
-          price: "N/A",
-          beds: null,
-          baths: null,
-          levels: null,
-          area: null,
-          condoFees: "N/A",
-          contact: "N/A",
-          _error: `Scrape failed: ${e?.message || e}`,
-        },
-        cached: false,
-      });
+      return orLastGood({ listing: fallbackListing(url, adapter, addressHint, e), cached: false });
     }
   }
 
-  const p = (async () => {
-    await scrapeGate.acquire();
-    try {
-      const t0 = Date.now();
+  try {
+    const listing = await startScrape(adapter, url, addressHint, key, refresh);
+    return orLastGood(withChanges({ listing, cached: false, refresh }));
+  } catch (e) {
+    // IMPORTANT: never 500 for Centris blocks. Return something usable.
+    return orLastGood({ listing: fallbackListing(url, adapter, addressHint, e), cached: false, refresh });
+  }
+}
 
-      let listing;
-      if (src === "centris") listing = await withHardTimeout(scrapeCentris(url, addressHint), 42000, "centris timeout");
-      else listing = await withHardTimeout(scrapeDuProprio(url), 42000, "duproprio timeout");
+// -------------------- API keys --------------------
+// Scraping endpoints need an API key: `x-api-key: lk_...` (or
+// `Authorization: Bearer lk_...`), or `?token=` signed with auth.tokenSecret
+// for the embedded map page. Keys are managed with scripts/api-keys.js.
+// Quotas count listing lookups (one per URL) per UTC day and forced
+// refreshes per hour; per-key values override the auth.* defaults.
+const AUTH_REQUIRED = config.auth.required;
+const API_KEYS_FILE = config.auth.keysFile || path.join(DATA_DIR, "api-keys.json");
+const apiKeys = createKeyStore(API_KEYS_FILE);
+const quotas = createQuotaTracker();
+
+if (!AUTH_REQUIRED) log.warn("auth.required is off: scraping endpoints are open to anyone");
+
+function apiKeyFromRequest(req) {
+  const header = String(req.headers["x-api-key"] || "").trim();
+  const bearer = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ""))?.[1] || "";
+  if (header || bearer) return { record: apiKeys.verify(header || bearer), via: "header" };
+
+  const token = String(req.query.token || "").trim();
+  if (token) {
+    const claims = verifyToken(token, config.auth.tokenSecret);
+    const record = claims && apiKeys.get(claims.id);
+    return { record: record && !record.revokedAt ? record : null, via: "token" };
+  }
+  return { record: null, via: "" };
+}
 
-      const safeScraped = sanitizeAddressOrBlank(listing.address);
-      const finalAddress = safeScraped || cleanText(addressHint) || "N/A";
-      const finalListing = { ...listing, address: finalAddress };
+function requireApiKey(req, res, next) {
+  const { record, via } = apiKeyFromRequest(req);
+  if (record) {
+    req.apiKey = record;
+    req.apiKeyVia = via;
+  } else if (via) {
+    return res.status(401).json({ ok: false, error: via === "token" ? "Invalid or expired token." : "Invalid API key." });
+  } else if (AUTH_REQUIRED) {
+    return res.status(401).json({ ok: false, error: "Missing API key." });
+  }
+  next();
+}
 
-      const looksGood =
-        finalListing.price !== "N/A" ||
-        finalListing.beds != null ||
-        finalListing.baths != null ||
-        (finalListing.area && finalListing.area !== "N/A") ||
-        (finalListing.condoFees && finalListing.condoFees !== "N/A") ||
-        (finalListing.address && finalListing.address !== "N/A");
+function quotaLimits(record) {
+  return {
+    requestsPerDay: record.quotas?.requestsPerDay ?? config.auth.requestsPerDay,
+    refreshesPerHour: record.quotas?.refreshesPerHour ?? config.auth.refreshesPerHour,
+  };
+}
 
-      if (looksGood && !finalListing._blocked) setCached(key, finalListing);
+// Charges the request's key; on overrun sends the 429 and returns false.
+// Anonymous requests (auth.required off) aren't metered.
+function chargeQuota(req, res, { requests = 1, refreshes = 0 } = {}) {
+  if (!req.apiKey) return true;
+  const result = quotas.take(req.apiKey.id, { requests, refreshes }, quotaLimits(req.apiKey));
+  if (result.ok) return true;
+  res.setHeader("Retry-After", String(result.retryAfterSec));
+  res.status(429).json({ ok: false, error: `Quota exceeded (${result.reason}).`, retryAfter: result.retryAfterSec });
+  return false;
+}
 
-      console.log(`[scrape] ${src} ${Date.now() - t0}ms refresh=${refresh ? "1" : "0"} ${url}`);
-      return finalListing;
-    } finally {
-      scrapeGate.release();
+// Mints a query token for the caller's own key (e.g. for the map page).
+// ?ttlMs= shortens the configured lifetime, down to a minute.
+const MIN_TOKEN_TTL_MS = 60 * 1000;
+
+app.post("/api/auth/token", requireApiKey, (req, res) => {
+  if (!req.apiKey || req.apiKeyVia !== "header") {
+    return res.status(401).json({ ok: false, error: "Send an API key header to mint a token." });
+  }
+  if (!config.auth.tokenSecret) return res.status(409).json({ ok: false, error: "Signed tokens are not configured." });
+  let ttlMs = config.auth.tokenTtlMs;
+  if (req.query.ttlMs != null && req.query.ttlMs !== "") {
+    const asked = Number(req.query.ttlMs);
+    if (!Number.isFinite(asked) || asked < MIN_TOKEN_TTL_MS) {
+      return res.status(400).json({ ok: false, error: `ttlMs must be a number of milliseconds >= ${MIN_TOKEN_TTL_MS}.` });
     }
-  })();
+    ttlMs = Math.min(ttlMs, asked);
+  }
+  const exp = Math.floor((Date.now() + ttlMs) / 1000);
+  res.json({ ok: true, token: signToken(req.apiKey.id, exp, config.auth.tokenSecret), expiresAt: new Date(exp * 1000).toISOString() });
+});
+
+// -------------------- API --------------------
+// A forced refresh may not spend more than the host's budget: every host
+// needs a token now for each of its URLs being refreshed. Sends the 429 (or
+// a 400 when one request asks for more than the burst) and returns false.
+function checkRefreshBudget(res, urls) {
+  const budget = hostLimiter.refreshBudget(urls);
+  if (budget.ok) return true;
+  if (budget.host) {
+    const error = `Too many refreshes for ${budget.host} in one request (max ${RATE_LIMIT_BURST}).`;
+    res.status(400).json({ ok: false, error });
+    return false;
+  }
+  const retryAfter = budget.retryAfterSec;
+  res.setHeader("Retry-After", String(retryAfter));
+  res.status(429).json({ ok: false, error: `Refresh rate limit reached, retry in ${retryAfter}s.`, retryAfter });
+  return false;
+}
+
+// The valid URLs of a batch body (invalid items are answered per item).
+const batchUrls = (items) =>
+  items.map((item) => normalizeListingUrl(item?.url)).filter((url) => url && !sourceError(url));
+
+app.get("/api/listing", requireApiKey, async (req, res) => {
+  const url = normalizeListingUrl(req.query.url);
+  const addressHint = String(req.query.addressHint || "").trim();
+  const refresh = String(req.query.refresh || "").trim() === "1";
+
+  if (!url) return res.status(400).json({ ok: false, error: "Missing url parameter." });
+
+  const srcError = sourceError(url);
+  if (srcError) return res.status(400).json({ ok: false, error: srcError });
+
+  if (refresh && !checkRefreshBudget(res, [url])) return;
+  if (!chargeQuota(req, res, { refreshes: refresh ? 1 : 0 })) return;
+
+  const result = await resolveListing(url, addressHint, { refresh });
+  return res.json({ ok: true, ...result });
+});
+
+app.get("/api/listing/history", requireApiKey, (req, res) => {
+  const url = normalizeListingUrl(req.query.url);
+  if (!url) return res.status(400).json({ ok: false, error: "Missing url parameter." });
+
+  const list = historyStore.list(url);
+  const snapshots = list.map((snap) => ({ fetchedAt: new Date(snap.ts).toISOString(), listing: snap.listing }));
+  const diffs = [];
+  for (let i = 1; i < list.length; i += 1) {
+    const diff = diffListings(list[i - 1].listing, list[i].listing);
+    if (hasChanges(diff)) diffs.push({ from: snapshots[i - 1].fetchedAt, to: snapshots[i].fetchedAt, ...diff });
+  }
+  const overall = list.length >= 2 ? diffListings(list[0].listing, list[list.length - 1].listing) : null;
+
+  res.json({ ok: true, url, count: snapshots.length, snapshots, diffs, diff: overall });
+});
+
+// Every known listing in a map building, from cache and history (no
+// scraping), with a summary for the side panel.
+app.get("/api/buildings/:id", requireApiKey, (req, res) => {
+  const building = buildings.get(req.params.id);
+  if (!building) return res.status(404).json({ ok: false, error: "Unknown building." });
+
+  const byUnit = (a, b) =>
+    String(a.listing.unit || "").localeCompare(String(b.listing.unit || ""), "en", { numeric: true }) ||
+    a.listing.url.localeCompare(b.listing.url);
+  const entries = knownListings()
+    .filter((e) => e.listing.buildingId === building.id)
+    .sort(byUnit);
+
+  res.json({
+    ok: true,
+    building,
+    summary: summarizeBuilding(entries, {
+      history: (url) => historyStore.list(url),
+      soldSince: Date.now() - config.buildings.recentSoldMs,
+    }),
+    listings: entries.map(({ listing, fetchedAt, stale, from }) => ({ listing, fetchedAt, stale, from })),
+  });
+});
+
+// -------------------- Export --------------------
+// GET /api/export?format=csv|excel|geojson dumps known listings, newest copy
+// per URL (or every history snapshot with history=1). Filters: source,
+// building, status (comma lists), since/until (fetchedAt, until exclusive)
+// and url (repeatable). POST takes the URL list as { urls: [...] } instead,
+// for lists too long for a query string. Rows are streamed, not buffered.
+
+// With history, every snapshot of each URL, plus cached listings that have
+// none yet (memory history store after a restart).
+function* exportCandidates({ history, urls }) {
+  const wanted = (url) => !urls || urls.has(url);
+  if (!history) {
+    for (const row of knownListings()) if (wanted(row.listing.url)) yield row;
+    return;
+  }
+  for (const url of historyStore.urls()) {
+    if (!wanted(url)) continue;
+    for (const snap of historyStore.list(url)) {
+      const listing = withBuilding(withNumbers({ status: "active", ...snap.listing }), snap.listing.addressHint);
+      yield { listing, ts: snap.ts, fetchedAt: new Date(snap.ts).toISOString(), from: "history" };
+    }
+  }
+  for (const row of knownListings()) {
+    if (row.from === "cache" && wanted(row.listing.url) && !historyStore.list(row.listing.url).length) yield row;
+  }
+}
+
+async function sendExport(req, res, urls) {
+  const opts = parseExportOptions(req.query, urls);
+  if (opts.error) return res.status(400).json({ ok: false, error: opts.error });
+  if (!chargeQuota(req, res)) return;
+
+  const { type, ext } = EXPORT_FORMATS[opts.format];
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader("Content-Type", type);
+  res.setHeader("Content-Disposition", `attachment; filename="listings-${stamp}.${ext}"`);
+  const rows = await writeExport(res, filterExportRows(exportCandidates(opts), opts), {
+    format: opts.format,
+    center: (id) => buildings.get(id)?.center || null,
+  });
+  log.info("export", { format: opts.format, history: opts.history, rows, aborted: res.destroyed });
+}
+
+// url is repeated rather than comma-separated: URLs may contain commas.
+app.get("/api/export", requireApiKey, (req, res) => {
+  const urls = [req.query.url ?? []].flat().map(normalizeListingUrl).filter(Boolean);
+  return sendExport(req, res, urls);
+});
+
+// Body: { urls: [...] } or a bare array of URLs; filters stay in the query.
+app.post("/api/export", requireApiKey, jsonBody, (req, res) => {
+  const urls = Array.isArray(req.body) ? req.body : req.body?.urls;
+  if (!Array.isArray(urls) || urls.some((u) => typeof u !== "string")) {
+    return res.status(400).json({ ok: false, error: "Body must be { urls: [...] } or an array of URL strings." });
+  }
+  return sendExport(req, res, urls.map(normalizeListingUrl).filter(Boolean));
+});
+
+// -------------------- Metrics endpoint --------------------
+metrics.gauge("scrape_gate_queue_depth", "Scrapes waiting for a worker slot, per source.", () =>
+  Object.entries(scrapeGate.stats()).map(([source, g]) => [{ source }, g.queued])
+);
+metrics.gauge("scrape_gate_active", "Scrapes holding a worker slot, per source.", () =>
+  Object.entries(scrapeGate.stats()).map(([source, g]) => [{ source }, g.active])
+);
+metrics.gauge("browser_pages_open", "Open Playwright pages.", () => [[{}, browserPool.stats().pages.active]]);
+metrics.gauge("browser_connected", "1 when Chromium is up.", () => [[{}, browserPool.stats().connected ? 1 : 0]]);
+metrics.gauge("jobs_pending", "Scrape jobs queued, running or waiting to retry.", () => [[{}, jobQueue.pending()]]);
+metrics.gauge("listing_cache_entries", "Entries in the listing cache.", () => [[{}, cacheStore.size]]);
+
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Scrape capacity at a glance: browser pool, per-source workers, job backlog.
+app.get("/api/health", (req, res) => {
+  res.json({
+    ok: true,
+    uptimeSec: Math.round(process.uptime()),
+    browser: browserPool.stats(),
+    centrisSession: centrisSession.status(),
+    workers: scrapeGate.stats(),
+    pendingJobs: jobQueue.pending(),
+  });
+});
+
+// -------------------- Batch API --------------------
+const MAX_BATCH_ITEMS = 60;
+
+function batchItemStatus(result) {
+  if (result.cached) return "cached";
+  if (result.listing?._error) return "error";
+  if (result.listing?._blocked) return "blocked";
+  return "ok";
+}
+
+async function resolveBatchItem(item, index, refresh) {
+  const url = normalizeListingUrl(item?.url);
+  const addressHint = String(item?.addressHint || "").trim();
+
+  if (!url) return { index, url, addressHint, status: "error", error: "Missing url." };
+  const srcError = sourceError(url);
+  if (srcError) return { index, url, addressHint, status: "error", error: srcError };
+
+  const result = await resolveListing(url, addressHint, { refresh });
+  return {
+    index,
+    url,
+    addressHint,
+    status: batchItemStatus(result),
+    listing: result.listing,
+    ...(result.deduped ? { deduped: true } : {}),
+    ...(result.fetchedAt ? { fetchedAt: result.fetchedAt } : {}),
+    ...(result.stale ? { stale: true } : {}),
+  };
+}
+
+function batchStreamMode(req) {
+  const mode = String(req.query.stream || "").trim().toLowerCase();
+  if (mode === "ndjson" || mode === "sse") return mode;
+  const accept = String(req.headers.accept || "").toLowerCase();
+  if (accept.includes("application/x-ndjson")) return "ndjson";
+  if (accept.includes("text/event-stream")) return "sse";
+  return "";
+}
+
+// Body: [{ url, addressHint }, ...] or { items: [...] }.
+// Cache hits resolve immediately; misses queue behind scrapeGate as usual.
+// With ?stream=ndjson|sse each item is written as soon as it settles.
+app.post("/api/listings", requireApiKey, jsonBody, async (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body?.items;
+  const refresh = String(req.query.refresh || "").trim() === "1";
+
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ ok: false, error: "Body must be a non-empty array of { url, addressHint }." });
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({ ok: false, error: `Too many items (max ${MAX_BATCH_ITEMS}).` });
+  }
+  if (refresh && !checkRefreshBudget(res, batchUrls(items))) return;
+  if (!chargeQuota(req, res, { requests: items.length, refreshes: refresh ? items.length : 0 })) return;
+
+  const stream = batchStreamMode(req);
+  if (!stream) {
+    const results = await Promise.all(items.map((item, i) => resolveBatchItem(item, i, refresh)));
+    return res.json({ ok: true, results });
+  }
+
+  res.status(200);
+  if (stream === "sse") {
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+  } else {
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  }
 
-  inflight.set(key, p);
+  const write = (event, payload) => {
+    if (res.writableEnded) return;
+    if (stream === "sse") res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    else res.write(`${JSON.stringify(event === "done" ? { done: true, ...payload } : payload)}\n`);
+    res.flush?.(); // compression buffers otherwise
+  };
+
+  await Promise.all(
+    items.map((item, i) => resolveBatchItem(item, i, refresh).then((result) => write("listing", result)))
+  );
+  write("done", { count: items.length });
+  res.end();
+});
 
+// -------------------- Scrape jobs --------------------
+// POST /api/jobs queues scrapes without holding the client connection. A
+// blocked or failed attempt is retried with exponential backoff + jitter up
+// to jobs.maxAttempts; attempts go through startScrape, so they share the
+// per-source scrapeGate pool and inflight dedupe with /api/listing. Jobs live
+// in memory (see jobs.js) and are dropped jobs.ttlMs after they finish.
+const MAX_PENDING_JOBS = config.jobs.maxPending;
+
+// One attempt: a fresh cache hit answers it, else join or start a scrape.
+async function attemptJob(job) {
+  const adapter = getSourceAdapter(job.url);
+  const key = makeCacheKey(job.url, job.addressHint);
   try {
-    const listing = await p;
-    return res.json({ ok: true, listing, cached: false, refresh });
+    const hit = job.refresh ? null : listingCache.get(key);
+    cacheLookups.inc({ source: adapter.id, result: job.refresh ? "refresh" : !hit ? "miss" : hit.stale ? "stale" : "hit" });
+    if (hit && !hit.stale) return { listing: hit.data, cached: true };
+    const existing = job.refresh ? null : inflight.get(key);
+    if (existing) inflightHits.inc({ source: adapter.id });
+    return { listing: await (existing || startScrape(adapter, job.url, job.addressHint, key, job.refresh)) };
   } catch (e) {
-    // IMPORTANT: never 500 for Centris blocks. Return something usable.
-    return res.json({
-      ok: true,
-      listing: {
-        url,
-        source: src === "centris" ? "Centris" : "DuProprio",
-        address: cleanText(addressHint) || "N/A",
-        price: "N/A",
-        beds: null,
-        baths: null,
-        levels: null,
-        area: null,
-        condoFees: "N/A",
-        contact: "N/A",
-        _error: `Scrape failed: ${e?.message || e}`,
-      },
-      cached: false,
-      refresh,
-    });
-  } finally {
-    inflight.delete(key);
+    return { listing: fallbackListing(job.url, adapter, job.addressHint, e) };
+  }
+}
+
+const jobQueue = createJobQueue({
+  attempt: attemptJob,
+  maxAttempts: config.jobs.maxAttempts,
+  backoffBaseMs: config.jobs.backoffBaseMs,
+  backoffMaxMs: config.jobs.backoffMaxMs,
+  ttlMs: config.jobs.ttlMs,
+  minRetryDelayMs: (job) => hostLimiter.waitMs(job.url),
+  isStopping: () => lifecycle.stopping,
+});
+
+const createJob = (url, addressHint, refresh) =>
+  jobQueue.create({ url, addressHint, source: getSourceAdapter(url).id, refresh });
+
+function describeJob(job, full) {
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  return {
+    id: job.id,
+    url: job.url,
+    addressHint: job.addressHint,
+    source: job.source,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    createdAt: iso(job.createdAt),
+    updatedAt: iso(job.updatedAt),
+    nextAttemptAt: iso(job.nextAttemptAt),
+    finishedAt: iso(job.finishedAt),
+    lastError: job.lastError,
+    listingStatus: job.listing?.status || null,
+    ...(job.cached ? { cached: true } : {}),
+    ...(full ? { listing: withBuilding(job.listing, job.addressHint) } : {}),
+  };
+}
+
+// Body: [{ url, addressHint }, ...], { items: [...] } or a single { url, addressHint }.
+// Responds 202 with one job per valid item; invalid items come back as errors.
+app.post("/api/jobs", requireApiKey, jsonBody, (req, res) => {
+  const body = req.body;
+  const items = Array.isArray(body) ? body : body?.items || (body?.url ? [body] : null);
+  const refresh = String(req.query.refresh || "").trim() === "1";
+
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ ok: false, error: "Body must be a non-empty array of { url, addressHint }." });
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({ ok: false, error: `Too many items (max ${MAX_BATCH_ITEMS}).` });
+  }
+
+  jobQueue.prune();
+  if (jobQueue.pending() + items.length > MAX_PENDING_JOBS) {
+    return res.status(503).json({ ok: false, error: "Job queue is full, try again later." });
+  }
+  if (refresh && !checkRefreshBudget(res, batchUrls(items))) return;
+  if (!chargeQuota(req, res, { requests: items.length, refreshes: refresh ? items.length : 0 })) return;
+
+  const results = items.map((item, index) => {
+    const url = normalizeListingUrl(item?.url);
+    const addressHint = String(item?.addressHint || "").trim();
+    if (!url) return { index, url, status: "error", error: "Missing url." };
+    const srcError = sourceError(url);
+    if (srcError) return { index, url, status: "error", error: srcError };
+    return { index, ...describeJob(createJob(url, addressHint, refresh), false) };
+  });
+  res.status(202).json({ ok: true, jobs: results });
+});
+
+app.get("/api/jobs", requireApiKey, (req, res) => {
+  const status = String(req.query.status || "").trim().toLowerCase();
+  if (status && !JOB_STATUSES.has(status)) {
+    return res.status(400).json({ ok: false, error: `Unknown status "${status}".` });
+  }
+  jobQueue.prune();
+  const list = jobQueue.list().filter((job) => !status || job.status === status);
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  res.json({
+    ok: true,
+    pending: jobQueue.pending(),
+    workers: scrapeGate.stats(),
+    jobs: list.slice(-limit).reverse().map((job) => describeJob(job, false)),
+  });
+});
+
+app.get("/api/jobs/:id", requireApiKey, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Unknown job id." });
+  res.json({ ok: true, job: describeJob(job, true) });
+});
+
+// -------------------- Watchlists --------------------
+// Saved URL sets re-checked every intervalMs (see watchlists.js); changes go
+// out through the configured transports. Each watchlist belongs to the API
+// key that created it.
+const WATCHLISTS_FILE = config.watch.file || path.join(DATA_DIR, "watchlists.json");
+const WATCH_MAX_ITEMS = config.watch.maxItems;
+
+function createTransports(cfg) {
+  const out = [];
+  if (cfg.webhookUrl) {
+    out.push(createWebhookTransport({ url: cfg.webhookUrl, secret: cfg.webhookSecret, timeoutMs: cfg.timeoutMs }));
+  }
+  if (cfg.smtp.host) out.push(createEmailTransport({ ...cfg.smtp, to: cfg.emailTo, timeoutMs: cfg.timeoutMs }));
+  return out;
+}
+
+const notifier = createNotifier(createTransports(config.notify));
+const watchlists = createWatchlistStore(WATCHLISTS_FILE);
+
+// check() for the watchlist runner. A fresh cache entry younger than maxAgeMs
+// is reused; otherwise the URL is re-scraped once its host has budget.
+async function checkWatchedListing(url, addressHint, maxAgeMs) {
+  const srcError = sourceError(url);
+  if (srcError) return { ok: false, error: srcError };
+  const hit = listingCache.get(makeCacheKey(url, addressHint));
+  let result;
+  if (hit && !hit.stale && Date.now() - Date.parse(hit.fetchedAt) < maxAgeMs) {
+    result = { listing: hit.data };
+  } else {
+    await sleep(hostLimiter.waitMs(url));
+    result = await resolveListing(url, addressHint, { refresh: true });
+  }
+  const { listing } = result;
+  if (result.refreshFailed || listing._blocked || listing._error) {
+    return { ok: false, error: result.refreshFailed || (listing._blocked ? "blocked" : listing._error) };
+  }
+  return { ok: true, listing };
+}
+
+const watchRunner = createWatchlistRunner({
+  store: watchlists,
+  check: checkWatchedListing,
+  notifier,
+  tickMs: config.watch.tickMs,
+});
+
+const ownsWatchlist = (req, w) => !req.apiKey || !w.owner || w.owner === req.apiKey.id;
+
+// Validates a create (all fields) or update (only the ones given) body.
+// Returns { fields } or { error }.
+function watchlistFields(body, creating) {
+  const fields = {};
+  if (creating || "name" in body) {
+    const name = cleanText(body.name);
+    if (!name || name.length > 100) return { error: "name must be 1-100 characters." };
+    fields.name = name;
+  }
+  if (creating || "urls" in body) {
+    if (!Array.isArray(body.urls) || !body.urls.length) {
+      return { error: "urls must be a non-empty array of URLs or { url, addressHint }." };
+    }
+    const items = new Map();
+    for (const entry of body.urls) {
+      const url = normalizeListingUrl(typeof entry === "string" ? entry : entry?.url);
+      const addressHint = typeof entry === "string" ? "" : String(entry?.addressHint || "").trim();
+      const srcError = url ? sourceError(url) : "Missing url.";
+      if (srcError) return { error: `${url || "(empty)"}: ${srcError}` };
+      if (!items.has(url)) items.set(url, { url, addressHint });
+    }
+    if (items.size > WATCH_MAX_ITEMS) return { error: `Too many URLs (max ${WATCH_MAX_ITEMS}).` };
+    fields.items = [...items.values()];
+  }
+  if (creating || "notify" in body) {
+    const available = notifier.names();
+    const notify = body.notify ?? available;
+    if (!Array.isArray(notify) || notify.some((n) => !available.includes(n))) {
+      return { error: `notify must list configured transports (${available.join(", ") || "none configured"}).` };
+    }
+    fields.notify = [...new Set(notify)];
+  }
+  if (creating || "intervalMs" in body) {
+    const intervalMs = body.intervalMs ?? config.watch.intervalMs;
+    if (!Number.isInteger(intervalMs) || intervalMs < config.watch.minIntervalMs) {
+      return { error: `intervalMs must be a whole number >= ${config.watch.minIntervalMs}.` };
+    }
+    fields.intervalMs = intervalMs;
+  }
+  return { fields };
+}
+
+const manualRuns = new Set(); // watchlist ids with a POST .../run queued or running
+
+function describeWatchlist(w, full) {
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  return {
+    id: w.id,
+    name: w.name,
+    running: manualRuns.has(w.id),
+    notify: w.notify,
+    intervalMs: w.intervalMs,
+    count: w.items.length,
+    createdAt: w.createdAt,
+    updatedAt: w.updatedAt,
+    lastRunAt: w.lastRunAt,
+    nextRunAt: iso(w.nextRunAt),
+    lastNotify: w.lastNotify,
+    ...(full ? { items: w.items.map((item) => ({ ...item, state: w.state[item.url] || null })) } : {}),
+  };
+}
+
+function findWatchlist(req, res) {
+  const w = watchlists.get(req.params.id);
+  if (w && ownsWatchlist(req, w)) return w;
+  res.status(404).json({ ok: false, error: "Unknown watchlist id." });
+  return null;
+}
+
+app.post("/api/watchlists", requireApiKey, jsonBody, (req, res) => {
+  const { fields, error } = watchlistFields(req.body || {}, true);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (watchlists.list().length >= config.watch.maxLists) {
+    return res.status(409).json({ ok: false, error: `Watchlist limit reached (${config.watch.maxLists}).` });
+  }
+  if (!chargeQuota(req, res)) return;
+  const w = watchlists.create({ ...fields, owner: req.apiKey?.id || null });
+  res.status(201).json({ ok: true, watchlist: describeWatchlist(w, true) });
+});
+
+app.get("/api/watchlists", requireApiKey, (req, res) => {
+  const list = watchlists.list().filter((w) => ownsWatchlist(req, w));
+  res.json({ ok: true, transports: notifier.names(), watchlists: list.map((w) => describeWatchlist(w, false)) });
+});
+
+app.get("/api/watchlists/:id", requireApiKey, (req, res) => {
+  const w = findWatchlist(req, res);
+  if (w) res.json({ ok: true, watchlist: describeWatchlist(w, true) });
+});
+
+app.put("/api/watchlists/:id", requireApiKey, jsonBody, (req, res) => {
+  const w = findWatchlist(req, res);
+  if (!w) return;
+  const { fields, error } = watchlistFields(req.body || {}, false);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (!chargeQuota(req, res)) return;
+  res.json({ ok: true, watchlist: describeWatchlist(watchlists.update(w.id, fields), true) });
+});
+
+app.delete("/api/watchlists/:id", requireApiKey, (req, res) => {
+  const w = findWatchlist(req, res);
+  if (!w) return;
+  watchlists.remove(w.id);
+  res.json({ ok: true, deleted: w.id });
+});
+
+// Queues a check of every URL (one scrape each, quota permitting) that sends
+// alerts as a scheduled run would. Responds 202 right away: a long list can
+// take many minutes, so poll GET /api/watchlists/:id for lastRunAt/running.
+app.post("/api/watchlists/:id/run", requireApiKey, (req, res) => {
+  const w = findWatchlist(req, res);
+  if (!w) return;
+  if (manualRuns.has(w.id)) return res.status(202).json({ ok: true, queued: false, watchlist: describeWatchlist(w, false) });
+  if (!chargeQuota(req, res, { requests: w.items.length })) return;
+
+  manualRuns.add(w.id);
+  watchRunner
+    .runNow(w)
+    .catch((e) => log.error("watchlist run failed", { watchlist: w.id, error: e }))
+    .finally(() => manualRuns.delete(w.id));
+  res.status(202).json({ ok: true, queued: true, watchlist: describeWatchlist(w, false) });
+});
+
+// -------------------- Admin: cache --------------------
+// Admin routes need an `x-admin-token` header matching server.adminToken
+// (ADMIN_TOKEN); with no token configured they are closed.
+function requireAdmin(req, res, next) {
+  const token = config.server.adminToken;
+  if (!token) return res.status(403).json({ ok: false, error: "Admin routes are disabled (no admin token configured)." });
+  const given = Buffer.from(String(req.headers["x-admin-token"] || ""));
+  const want = Buffer.from(token);
+  if (given.length !== want.length || !timingSafeEqual(given, want)) {
+    return res.status(401).json({ ok: false, error: "Unauthorized." });
+  }
+  next();
+}
+
+function cacheEntriesForUrl(url) {
+  const all = cacheStore.entries();
+  if (!url) return all;
+  return all.filter(([key]) => key.startsWith(`${url}::`));
+}
+
+function describeCacheEntry(key, entry, full) {
+  const ttl = cacheTtlFor(entry);
+  return {
+    key,
+    url: entry.data?.url || key.split("::")[0],
+    source: entry.src,
+    fetchedAt: new Date(entry.ts).toISOString(),
+    expiresAt: new Date(entry.ts + ttl).toISOString(),
+    expired: Date.now() - entry.ts > ttl,
+    staleUntil: new Date(entry.ts + ttl + CACHE_MAX_STALE_MS).toISOString(),
+    ...(full ? { listing: entry.data } : {}),
+  };
+}
+
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  const url = normalizeListingUrl(req.query.url);
+  const full = String(req.query.full || "").trim() === "1";
+  const entries = cacheEntriesForUrl(url).map(([key, entry]) => describeCacheEntry(key, entry, full));
+  res.json({ ok: true, store: CACHE_STORE, size: cacheStore.size, maxEntries: CACHE_MAX_ENTRIES, entries });
+});
+
+// ?url=... purges every hint variant of that URL; ?all=1 empties the store.
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  const url = normalizeListingUrl(req.query.url);
+  const all = String(req.query.all || "").trim() === "1";
+  if (!url && !all) return res.status(400).json({ ok: false, error: "Pass url=... or all=1." });
+
+  if (all) {
+    const purged = cacheStore.size;
+    cacheStore.clear();
+    return res.json({ ok: true, purged });
+  }
+
+  let purged = 0;
+  for (const [key] of cacheEntriesForUrl(url)) if (cacheStore.delete(key)) purged += 1;
+  res.json({ ok: true, purged });
+});
+
+// -------------------- Admin: config --------------------
+// Effective settings (secrets redacted) and where each value came from.
+app.get("/api/config", requireAdmin, (req, res) => {
+  res.json({ ok: true, ...publicConfig(loadedConfig) });
+});
+
+// -------------------- Admin: API keys --------------------
+// Key metadata (never hashes) with today's usage, to see which frontend is busy.
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  const keys = apiKeys.list().map(({ hash, ...rec }) => ({
+    ...rec,
+    limits: quotaLimits(rec),
+    usage: quotas.usage(rec.id),
+  }));
+  res.json({ ok: true, required: AUTH_REQUIRED, keys });
+});
+
+// -------------------- Diagnostics API --------------------
+const DIAGNOSTIC_FILES = { "page.html": "text/plain; charset=utf-8", "screenshot.png": "image/png" };
+
+app.get("/api/diagnostics", requireAdmin, async (req, res) => {
+  const source = String(req.query.source || "").trim().toLowerCase();
+  const blockType = String(req.query.blockType || "").trim().toLowerCase();
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
+
+  const diagnostics = [];
+  for (const id of (await listDiagnosticIds()).reverse()) {
+    if (diagnostics.length >= limit) break;
+    const meta = await readDiagnostic(id);
+    if (!meta || (source && meta.source !== source) || (blockType && meta.blockType !== blockType)) continue;
+    const { headers, ...summary } = meta;
+    diagnostics.push(summary);
+  }
+  res.json({ ok: true, enabled: DIAGNOSTICS_ENABLED, count: diagnostics.length, diagnostics });
+});
+
+app.get("/api/diagnostics/:id", requireAdmin, async (req, res) => {
+  const meta = await readDiagnostic(req.params.id);
+  if (!meta) return res.status(404).json({ ok: false, error: "Unknown diagnostics id." });
+  const base = `/api/diagnostics/${meta.id}`;
+  res.json({
+    ok: true,
+    diagnostic: meta,
+    files: { html: `${base}/page.html`, screenshot: meta.screenshot ? `${base}/screenshot.png` : null },
+  });
+});
+
+// Captured HTML is served as text/plain so it never runs on our origin.
+app.get("/api/diagnostics/:id/:file", requireAdmin, async (req, res) => {
+  const type = DIAGNOSTIC_FILES[req.params.file];
+  if (!type || !DIAGNOSTIC_ID_RE.test(req.params.id)) return res.status(404).json({ ok: false, error: "Not found." });
+  try {
+    const body = await fsp.readFile(path.join(DIAGNOSTICS_DIR, req.params.id, req.params.file));
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.type(type).send(body);
+  } catch {
+    res.status(404).json({ ok: false, error: "Not found." });
   }
 });
 
+// -------------------- Gmail inbox ingestion --------------------
+// Listing alerts land in GMAIL_LABEL; each URL becomes a scrape job, so the
+// inbox shares the job queue's limit, retries and backoff. Disabled unless
+// Gmail credentials (or a fake GMAIL_ROOT_URL) are configured.
+const GMAIL_LABEL = config.gmail.label;
+const GMAIL_POLL_MS = config.gmail.pollMs;
+let inbox = null;
+
+// Rejects when the queue is full: the ingestor then leaves the message unseen
+// and retries it on the next poll.
+async function enqueueInboxLink(url, addressHint) {
+  jobQueue.prune();
+  if (jobQueue.pending() >= MAX_PENDING_JOBS) throw new Error("Job queue is full.");
+  const { id } = createJob(url, addressHint, false);
+  const result = jobQueue.settled(id).then((job) => ({ listing: withBuilding(job.listing, addressHint) }));
+  return { jobId: id, result };
+}
+
+async function startInbox(gmail) {
+  gmail =
+    gmail ||
+    (await createGmailClient({
+      credentialsPath: config.gmail.credentialsPath,
+      tokenPath: config.gmail.tokenPath,
+      rootUrl: config.gmail.rootUrl || undefined,
+    }));
+  if (!gmail) {
+    log.info("Gmail not configured, inbox ingestion disabled");
+    return null;
+  }
+
+  inbox = createInboxIngestor({
+    gmail,
+    label: GMAIL_LABEL,
+    pollMs: GMAIL_POLL_MS,
+    isListingUrl: (url) => Boolean(getSourceAdapter(url)),
+    seenFile: path.join(DATA_DIR, "inbox-seen.json"),
+    enqueue: enqueueInboxLink,
+  });
+  inbox.start();
+  return inbox;
+}
+
+app.get("/api/inbox/latest", requireApiKey, (req, res) => {
+  if (!inbox) return res.json({ ok: true, enabled: false, message: null });
+  res.json({ ok: true, enabled: true, ...inbox.status(), message: inbox.latest() });
+});
+
+app.get("/api/inbox/listings", requireApiKey, (req, res) => {
+  if (!inbox) return res.json({ ok: true, enabled: false, listings: [] });
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  res.json({ ok: true, enabled: true, ...inbox.status(), listings: inbox.listings().slice(0, limit) });
+});
+
+app.post("/api/inbox/poll", requireAdmin, async (req, res) => {
+  if (!inbox) return res.status(409).json({ ok: false, error: "Inbox ingestion is not configured." });
+  await inbox.pollOnce();
+  res.json({ ok: true, ...inbox.status() });
+});
+
+// -------------------- Liveness + readiness --------------------
+// /healthz only says the process is serving requests; /readyz says whether it
+// can do useful scraping right now and why not. Both skip auth so load
+// balancers and orchestrators can probe them.
+const readiness = createReadiness({
+  browserPool,
+  cacheStore,
+  cacheKind: CACHE_STORE,
+  dataDir: DATA_DIR,
+  scrapeGate,
+  jobQueue,
+  recentScrapes,
+  maxPendingJobs: MAX_PENDING_JOBS,
+  maxQueuedScrapes: config.readiness.maxQueuedScrapes,
+  maxBlockRatePct: config.readiness.maxBlockRatePct,
+  minScrapes: config.readiness.minScrapes,
+  isStopping: () => lifecycle.stopping,
+});
+
+app.get("/healthz", (req, res) => {
+  res.json({ ok: true, uptimeSec: Math.round(process.uptime()) });
+});
+
+app.get("/readyz", (req, res) => {
+  const report = readiness.report();
+  res.status(report.ok ? 200 : 503).json(report);
+});
+
+app.get("/api/sources", (req, res) => {
+  const sources = [...sourceAdapters.values()]
+    .filter((a) => a.enabled)
+    .map((a) => ({ id: a.id, label: a.label, browser: Boolean(a.fetchWithBrowser) }));
+  res.json({ ok: true, sources });
+});
+
 // -------------------- Root --------------------
 app.get("/", (req, res) => {
   res.type("text").send("OK");
 });
 
-app.listen(PORT, async () => {
+// -------------------- Startup + graceful shutdown --------------------
+const server = app.listen(PORT, async () => {
+  try {
+    await browserPool.ensureBrowser(); // warm-up
+  } catch (e) {
+    log.error("browser warm-up failed", { error: e });
+  }
   try {
-    await ensureBrowser(); // warm-up
+    await startInbox();
   } catch (e) {
-    console.error("Browser warmup failed:", e?.message || e);
+    log.error("inbox startup failed", { error: e });
   }
-  console.log(`Server running on port ${PORT}`);
+  watchRunner.start();
+  log.info("server listening", {
+    port: PORT,
+    watchlists: watchlists.list().length,
+    transports: notifier.names(),
+    buildings: buildings.list().length,
+  });
+});
+
+// SIGTERM/SIGINT: drain for up to server.shutdownTimeoutMs, then close the
+// browser and flush the JSON-lines stores (see health.js). A second signal
+// exits immediately.
+const lifecycle = createShutdown({
+  server,
+  timeoutMs: config.server.shutdownTimeoutMs,
+  inflight,
+  jobQueue,
+  watchRunner,
+  stopInbox: () => inbox?.stop(),
+  browserPool,
+  stores: [cacheStore, historyStore],
 });
+process.on("SIGINT", () => lifecycle.shutdown("SIGINT"));
+process.on("SIGTERM", () => lifecycle.shutdown("SIGTERM"));
@@ -0,0 +1,203 @@
+// watchlists.js (ESM)
+// Saved sets of listing URLs that are re-checked on a schedule. Each check
+// is compared with what the watchlist saw last time; price, condo-fee and
+// availability changes are sent out as one digest per run through the
+// notifier (see notify.js).
+//
+// The scrape is injected: check(url, addressHint, maxAgeMs) ->
+// { ok, listing, error }, where listing.status is active, sold or delisted
+// when ok (blocked and error results come back as !ok and are skipped).
+// maxAgeMs is how old a cached copy may be (half the watchlist interval).
+
+import fs from "node:fs";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+import { isPresent, moneyToNumber } from "./parsers.js";
+import { log, withLogContext } from "./logger.js";
+
+// -------------------- Store --------------------
+// Record: { id, name, owner, notify: [transport names], intervalMs,
+// items: [{ url, addressHint }], state: { [url]: itemState }, createdAt,
+// updatedAt, lastRunAt, nextRunAt, lastNotify }. Kept in one JSON file.
+export function createWatchlistStore(file) {
+  let lists = [];
+  try {
+    lists = JSON.parse(fs.readFileSync(file, "utf8")).watchlists || [];
+  } catch (e) {
+    if (e.code !== "ENOENT") log.error("cannot read watchlist file", { file, error: e });
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify({ watchlists: lists }, null, 2)}\n`);
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    list: () => lists,
+    get: (id) => lists.find((w) => w.id === id) || null,
+    create(fields) {
+      const now = new Date().toISOString();
+      const w = {
+        id: randomBytes(6).toString("hex"),
+        ...fields,
+        state: {},
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        nextRunAt: Date.now(),
+        lastNotify: null,
+      };
+      lists.push(w);
+      save();
+      return w;
+    },
+    update(id, fields) {
+      const w = lists.find((x) => x.id === id);
+      if (!w) return null;
+      Object.assign(w, fields, { updatedAt: new Date().toISOString() });
+      // Forget state for URLs that are no longer watched.
+      const urls = new Set(w.items.map((i) => i.url));
+      for (const url of Object.keys(w.state)) if (!urls.has(url)) delete w.state[url];
+      save();
+      return w;
+    },
+    remove(id) {
+      const before = lists.length;
+      lists = lists.filter((w) => w.id !== id);
+      if (lists.length !== before) save();
+      return lists.length !== before;
+    },
+    save,
+  };
+}
+
+// -------------------- Change detection --------------------
+const WATCHED_FIELDS = ["price", "condoFees"];
+
+// Folds one check into the item's state and returns [state, changes]. The
+// first successful check only sets the baseline. Failed checks (blocked,
+// errors) leave the state alone apart from lastError.
+export function applyCheck(prev, check, now = new Date().toISOString()) {
+  if (!check.ok) {
+    const lastError = String(check.error || "check failed").split("\n")[0];
+    return [{ ...prev, lastCheckedAt: now, lastError }, []];
+  }
+
+  const l = check.listing || {};
+  const status = l.status || "active";
+  const available = status === "active";
+
+  const next = {
+    status,
+    available,
+    address: isPresent(l.address) ? l.address : prev?.address || null,
+    price: available && isPresent(l.price) ? l.price : prev?.price ?? null,
+    condoFees: available && isPresent(l.condoFees) ? l.condoFees : prev?.condoFees ?? null,
+    lastCheckedAt: now,
+    lastOkAt: now,
+    lastError: null,
+  };
+  if (!prev?.lastOkAt) return [next, []];
+
+  const base = { address: next.address };
+  const changes = [];
+  if (prev.available && !available) changes.push({ ...base, type: status, from: prev.status || "active", to: status });
+  if (prev.available === false && available) changes.push({ ...base, type: "back", from: prev.status, to: status });
+  if (available) {
+    for (const field of WATCHED_FIELDS) {
+      const from = prev[field];
+      const to = isPresent(l[field]) ? l[field] : null;
+      if (!from || !to || from === to) continue;
+      const a = moneyToNumber(from);
+      const b = moneyToNumber(to);
+      if (a != null && a === b) continue; // same amount, different formatting
+      changes.push({ ...base, type: field, from, to, delta: a != null && b != null ? b - a : null });
+    }
+  }
+  return [next, changes];
+}
+
+// -------------------- Scheduler --------------------
+// Every tickMs, runs the watchlists that are due, one at a time and one URL
+// at a time; the host rate limiter in check() paces the scrapes.
+export function createWatchlistRunner({ store, check, notifier, tickMs = 60000 }) {
+  let timer = null;
+  let running = null; // promise of the current tick
+  let stopped = false;
+
+  async function checkAll(w) {
+    const checkedAt = new Date().toISOString();
+    const changes = [];
+    for (const item of w.items) {
+      if (stopped) break;
+      let result;
+      try {
+        result = await check(item.url, item.addressHint, w.intervalMs / 2);
+      } catch (e) {
+        result = { ok: false, error: String(e?.message || e) };
+      }
+      const [state, found] = applyCheck(w.state[item.url], result, checkedAt);
+      w.state[item.url] = state;
+      for (const c of found) changes.push({ url: item.url, ...c });
+    }
+
+    w.lastRunAt = checkedAt;
+    w.nextRunAt = Date.now() + w.intervalMs;
+    if (changes.length && w.notify.length) {
+      const digest = { watchlist: { id: w.id, name: w.name }, checkedAt, changes };
+      const results = await notifier.send(digest, w.notify);
+      w.lastNotify = { at: new Date().toISOString(), changes: changes.length, results };
+    }
+    store.save();
+    log.info("watchlist checked", { items: w.items.length, changes: changes.length });
+    return { checkedAt, changes, notified: changes.length ? w.lastNotify?.results || {} : {} };
+  }
+
+  const runWatchlist = (w) => withLogContext({ watchlist: w.id }, () => checkAll(w));
+
+  async function tick() {
+    const due = store.list().filter((w) => (w.nextRunAt || 0) <= Date.now());
+    for (const w of due) {
+      if (stopped) break;
+      // Deleted while an earlier one ran.
+      if (store.get(w.id) !== w) continue;
+      try {
+        await runWatchlist(w);
+      } catch (e) {
+        log.error("watchlist run failed", { watchlist: w.id, error: e });
+      }
+    }
+  }
+
+  const runExclusive = (fn) => {
+    const p = (running || Promise.resolve()).then(fn);
+    const tail = p
+      .catch(() => {})
+      .finally(() => {
+        if (running === tail) running = null;
+      });
+    running = tail;
+    return p;
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      stopped = false;
+      timer = setInterval(() => {
+        if (!running) runExclusive(tick);
+      }, tickMs);
+      timer.unref?.();
+    },
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      timer = null;
+      return running || Promise.resolve();
+    },
+    // Runs one watchlist now, after whatever is already running.
+    runNow: (w) => runExclusive(() => runWatchlist(w)),
+  };
+}